@@ -0,0 +1,142 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { safeId } = require('./util');
+const { resolveEndpoint } = require('./endpoint-profiles');
+
+// ============================================================================
+// Cloud accounts (one instance, several OJ accounts)
+// - Primary account: credentials of the main tab, objects at groups.* and the
+//   instance's info.* states (unchanged for existing installations)
+// - Additional accounts: rows of config.accounts, objects at
+//   accounts.<id>.groups.* with their own accounts.<id>.info.* states
+// - Every account has its own OJClient (session), startup login retry,
+//   fallback polling and targeted refresh; poll interval, connection settings
+//   (proxy / CA / timeouts) and notifications are shared
+// - Empty fields of a row (e.g. provider, base URLs) fall back to the main settings
+// - Row passwords are stored encrypted by admin (table encryptedAttributes),
+//   native.accounts is protected like the main password
+// ============================================================================
+
+const ACCOUNT_FIELDS = ['provider', 'username', 'password', 'apiKey', 'customerId', 'baseUrlOwd5', 'baseUrlOcd5'];
+const REQUIRED_FIELDS = ['username', 'password', 'apiKey', 'customerId'];
+// hosts: always set by the profiles, except 'custom'
+const ENDPOINT_FIELDS = ['baseUrlOwd5', 'baseUrlOcd5'];
+
+// Object id prefix of an account ('' for the primary account)
+function accountPrefix(accountId) {
+	return accountId ? `accounts.${accountId}.` : '';
+}
+
+function groupDevId(accountId, groupId) {
+	return `${accountPrefix(accountId)}groups.${safeId(groupId)}`;
+}
+
+function thermostatDevId(accountId, groupId, thermostatId) {
+	return `${groupDevId(accountId, groupId)}.thermostats.${safeId(thermostatId)}`;
+}
+
+// Account id of an object id (with or without namespace), '' for the primary account
+function accountIdOf(id) {
+	const m = String(id ?? '').match(/(?:^|\.)accounts\.([^.]+)\.groups\./);
+	return m ? m[1] : '';
+}
+
+class CloudAccount {
+	constructor({ id = '', name = '', settings = {} } = {}) {
+		this.id = id;
+		this.name = name || id;
+		this.prefix = accountPrefix(id);
+		/** Log / notification prefix of additional accounts */
+		this.tag = id ? `[${name || id}] ` : '';
+		/** Credentials and base URLs of the row (override the adapter config) */
+		this.settings = settings;
+		this.client = null;
+		this.connected = false;
+
+		/** Startup login: retry timer (and its wake-up for onUnload) */
+		this.loginRetryTimer = null;
+		this._wakeLoginRetry = null;
+
+		this.pollTimer = null;
+		this.pollInFlight = false;
+		this.pollPromise = null;
+		/** Poll watchdog: releases pollInFlight if a poll never settles */
+		this.pollWatchdogTimer = null;
+		/** CloudOffline */
+		this.pollFailCount = 0;
+		this.warnedNoCloud = false;
+
+		/** Fallback polling: base interval from config */
+		this.baseIntervalMs = 0;
+		/** Fallback polling: current (possibly increased) interval */
+		this.currentIntervalMs = 0;
+		/** Fallback polling: true when backoff exceeded 1h, polling at 12:00/00:00 */
+		this.inFixedSchedule = false;
+		/** Fallback polling: any thermostat online during current poll? */
+		this._anyOnlineThisPoll = false;
+		/** Fallback polling: any thermostat present during current poll? */
+		this._hadThermostatsThisPoll = false;
+
+		/** Targeted refresh after apply: ThermostatIds waiting to be re-read */
+		this.refreshPending = new Set();
+		this.refreshTimer = null;
+		this.refreshPromise = null;
+	}
+}
+
+// Adapter config as seen by one account (row values over the main settings)
+function accountConfig(adapter, account) {
+	return { ...adapter.config, ...account.settings };
+}
+
+// API key / customer ID / base URLs may come from the endpoint profile
+function missingFields(config) {
+	const resolved = { ...config, ...resolveEndpoint(config) };
+	return [...REQUIRED_FIELDS, ...ENDPOINT_FIELDS].filter(key => !resolved[key]);
+}
+
+// Primary account (unless only additional accounts are configured) + enabled rows.
+// API key / customer ID always have io-package defaults, so only the main tab's
+// username/password tell whether the primary account is used.
+function accountsFromConfig(adapter) {
+	const rows = (Array.isArray(adapter.config.accounts) ? adapter.config.accounts : []).filter(
+		row => row && row.enabled !== false,
+	);
+	const accounts = [];
+	if (!rows.length || (adapter.config.username && adapter.config.password)) {
+		accounts.push(new CloudAccount());
+	}
+
+	const seen = new Set();
+	for (const row of rows) {
+		const id = String(row.id ?? '')
+			.trim()
+			.replace(/[^\w-]/g, '_');
+		if (!id || seen.has(id)) {
+			adapter.log.warn(`Account "${row.id ?? ''}" ignored: ${id ? 'duplicate' : 'missing'} ID`);
+			continue;
+		}
+		seen.add(id);
+		const settings = Object.fromEntries(
+			ACCOUNT_FIELDS.filter(key => row[key] !== undefined && row[key] !== null && row[key] !== '').map(key => [
+				key,
+				key === 'password' ? adapter.decrypt(String(row[key])) : row[key],
+			]),
+		);
+		accounts.push(new CloudAccount({ id, name: String(row.name || '').trim(), settings }));
+	}
+	return accounts;
+}
+
+module.exports = {
+	ACCOUNT_FIELDS,
+	accountPrefix,
+	groupDevId,
+	thermostatDevId,
+	accountIdOf,
+	CloudAccount,
+	accountConfig,
+	missingFields,
+	accountsFromConfig,
+};
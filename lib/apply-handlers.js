@@ -3,33 +3,66 @@
 
 const { cToNum } = require('./util');
 const { nowPlusMinutesThermostatLocalNoZ } = require('./time');
+const { parseEditableSchedule, scheduleToEditable } = require('./schedule');
+const { writeScheduleStates, writeScheduleEdit } = require('./writers');
 
 const EXTRA_ENDTIME_SEC_BOOST = 0;
 const EXTRA_ENDTIME_SEC_COMFORT = 0;
 
+// Input states of the apply modes (apply.<mode>.<input>), stored with a queued command
+const APPLY_INPUTS = {
+	scheduleEdit: ['json'],
+	comfort: ['setpoint', 'durationMinutes'],
+	manual: ['setpoint'],
+	boost: ['durationMinutes'],
+	vacation: ['enabled', 'begin', 'end', 'temperature'],
+	name: ['value'],
+};
+
+async function readApplyInputs(adapter, devPrefix, modeFolder) {
+	const values = {};
+	for (const key of APPLY_INPUTS[modeFolder] || []) {
+		const st = await adapter.getStateAsync(`${devPrefix}.apply.${modeFolder}.${key}`);
+		if (st && st.val !== null && st.val !== undefined) {
+			values[key] = st.val;
+		}
+	}
+	return values;
+}
+
 function createApplyRouter(adapter) {
 	const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
 
-	const readNum = async (sid, def) => {
+	// `values`: input values stored with a queued command (lib/offline-queue.js),
+	// used instead of the current apply.<mode>.* states
+	const readVal = async (sid, values) => {
+		const key = sid.slice(sid.lastIndexOf('.') + 1);
+		if (values && Object.prototype.hasOwnProperty.call(values, key)) {
+			return values[key];
+		}
 		const st = await adapter.getStateAsync(sid);
-		const n = Number(st?.val);
+		return st?.val;
+	};
+
+	const readNum = async (sid, def, values) => {
+		const n = Number(await readVal(sid, values));
 		return Number.isFinite(n) ? n : def;
 	};
 
-	const readStr = async (sid, def = '') => {
-		const st = await adapter.getStateAsync(sid);
-		return st?.val !== undefined ? String(st.val) : def;
+	const readStr = async (sid, def = '', values = undefined) => {
+		const val = await readVal(sid, values);
+		return val !== undefined ? String(val) : def;
 	};
 
-	const readBool = async (sid, def = false) => {
-		const st = await adapter.getStateAsync(sid);
-		if (typeof st?.val === 'boolean') {
-			return st.val;
+	const readBool = async (sid, def = false, values = undefined) => {
+		const val = await readVal(sid, values);
+		if (typeof val === 'boolean') {
+			return val;
 		}
-		if (st?.val === 1 || st?.val === '1') {
+		if (val === 1 || val === '1') {
 			return true;
 		}
-		if (st?.val === 0 || st?.val === '0') {
+		if (val === 0 || val === '0') {
 			return false;
 		}
 		return def;
@@ -37,130 +70,173 @@ function createApplyRouter(adapter) {
 
 	const handlers = {
 		// =================== SCHEDULE ===================
-		schedule: async ({ serial, baseName }) => {
-			await adapter.client.updateThermostat(serial, {
+		schedule: async ({ client, serial, baseName }) => {
+			const payload = {
 				ThermostatName: baseName,
 				RegulationMode: 1,
+			};
+			const sent = await adapter.commandQueue.enqueue(client, serial, payload);
+			return sent;
+		},
+
+		// ================ SCHEDULE EDIT =================
+		scheduleEdit: async ({ client, devPrefix, serial, baseName, values }) => {
+			const raw = await readStr(`${devPrefix}.apply.scheduleEdit.json`, '', values);
+			const cached = adapter.thermostatData[devPrefix];
+			const schedule = parseEditableSchedule(raw, { current: cached?.Schedule });
+
+			const payload = {
+				ThermostatName: baseName,
+				Schedule: schedule,
+			};
+			const sent = await adapter.commandQueue.enqueue(client, serial, payload);
+
+			if (cached) {
+				cached.Schedule = schedule;
+			}
+			await writeScheduleEdit(adapter, devPrefix, JSON.stringify(scheduleToEditable(schedule)));
+			await writeScheduleStates(adapter, devPrefix, schedule, {
+				thermostatName: baseName,
+				serialNumber: serial,
 			});
+			return sent;
 		},
 
 		// =================== COMFORT ====================
-		comfort: async ({ devPrefix, serial, baseName, thermostatId }) => {
-			let tempC = await readNum(`${devPrefix}.apply.comfort.setpoint`, 22);
+		comfort: async ({ client, devPrefix, serial, baseName, values }) => {
+			let tempC = await readNum(`${devPrefix}.apply.comfort.setpoint`, 22, values);
 			tempC = clamp(tempC, 12, 35);
 
-			let dur = await readNum(`${devPrefix}.apply.comfort.durationMinutes`, 180);
+			let dur = await readNum(`${devPrefix}.apply.comfort.durationMinutes`, 180, values);
 			dur = clamp(Math.trunc(dur), 1, 24 * 60);
 
-			let tzSec = Number(adapter.thermostatTimeZoneSec[thermostatId]);
+			let tzSec = Number(adapter.thermostatTimeZoneSec[devPrefix]);
 			if (!Number.isFinite(tzSec)) {
 				tzSec = 0;
 			}
 
 			const comfortEnd = nowPlusMinutesThermostatLocalNoZ(dur, tzSec + EXTRA_ENDTIME_SEC_COMFORT);
 
-			await adapter.client.updateThermostat(serial, {
+			const payload = {
 				ThermostatName: baseName,
 				RegulationMode: 2,
 				ComfortSetpoint: cToNum(tempC),
 				ComfortEndTime: comfortEnd,
-			});
+			};
+			const sent = await adapter.commandQueue.enqueue(client, serial, payload);
 
 			adapter.safeSetState(`${devPrefix}.endTime.comfort`, { val: comfortEnd, ack: true });
+			return sent;
 		},
 
 		// =================== MANUAL =====================
-		manual: async ({ devPrefix, serial, baseName }) => {
-			let tempC = await readNum(`${devPrefix}.apply.manual.setpoint`, 21);
+		manual: async ({ client, devPrefix, serial, baseName, values }) => {
+			let tempC = await readNum(`${devPrefix}.apply.manual.setpoint`, 21, values);
 			tempC = clamp(tempC, 12, 35);
 
-			await adapter.client.updateThermostat(serial, {
+			const payload = {
 				ThermostatName: baseName,
 				RegulationMode: 3,
 				ManualModeSetpoint: cToNum(tempC),
-			});
+			};
+			const sent = await adapter.commandQueue.enqueue(client, serial, payload);
+			return sent;
 		},
 
 		// =================== BOOST ======================
-		boost: async ({ devPrefix, serial, baseName, thermostatId }) => {
-			let dur = await readNum(`${devPrefix}.apply.boost.durationMinutes`, 60);
+		boost: async ({ client, devPrefix, serial, baseName, values }) => {
+			let dur = await readNum(`${devPrefix}.apply.boost.durationMinutes`, 60, values);
 			dur = clamp(Math.trunc(dur), 1, 24 * 60);
 
-			let tzSec = Number(adapter.thermostatTimeZoneSec[thermostatId]);
+			let tzSec = Number(adapter.thermostatTimeZoneSec[devPrefix]);
 			if (!Number.isFinite(tzSec)) {
 				tzSec = 0;
 			}
 
 			const boostEnd = nowPlusMinutesThermostatLocalNoZ(dur, tzSec + EXTRA_ENDTIME_SEC_BOOST);
 
-			await adapter.client.updateThermostat(serial, {
+			const payload = {
 				ThermostatName: baseName,
 				RegulationMode: 8,
 				BoostEndTime: boostEnd,
-			});
+			};
+			const sent = await adapter.commandQueue.enqueue(client, serial, payload);
 
 			adapter.safeSetState(`${devPrefix}.endTime.boost`, { val: boostEnd, ack: true });
+			return sent;
 		},
 
 		// =================== ECO ========================
-		eco: async ({ serial, baseName }) => {
-			await adapter.client.updateThermostat(serial, {
+		eco: async ({ client, serial, baseName }) => {
+			const payload = {
 				ThermostatName: baseName,
 				RegulationMode: 9,
-			});
+			};
+			const sent = await adapter.commandQueue.enqueue(client, serial, payload);
+			return sent;
 		},
 
 		// ============= FROST PROTECTION =================
-		frostProtection: async ({ serial, baseName }) => {
-			await adapter.client.updateThermostat(serial, {
+		frostProtection: async ({ client, serial, baseName }) => {
+			const payload = {
 				ThermostatName: baseName,
 				RegulationMode: 6,
-			});
+			};
+			const sent = await adapter.commandQueue.enqueue(client, serial, payload);
+			return sent;
 		},
 
 		// =================== VACATION ===================
-		vacation: async ({ devPrefix, serial, baseName }) => {
-			const enabled = await readBool(`${devPrefix}.apply.vacation.enabled`, false);
-			const begin = await readStr(`${devPrefix}.apply.vacation.begin`, '');
-			const end = await readStr(`${devPrefix}.apply.vacation.end`, '');
+		vacation: async ({ client, devPrefix, serial, baseName, values }) => {
+			const enabled = await readBool(`${devPrefix}.apply.vacation.enabled`, false, values);
+			const begin = await readStr(`${devPrefix}.apply.vacation.begin`, '', values);
+			const end = await readStr(`${devPrefix}.apply.vacation.end`, '', values);
 
-			let tempC = await readNum(`${devPrefix}.apply.vacation.temperature`, 12);
+			let tempC = await readNum(`${devPrefix}.apply.vacation.temperature`, 12, values);
 			tempC = clamp(tempC, 5, 35);
 
-			await adapter.client.updateThermostat(serial, {
+			const payload = {
 				ThermostatName: baseName,
 				VacationEnabled: enabled,
 				VacationBeginDay: begin,
 				VacationEndDay: end,
 				VacationTemperature: cToNum(tempC),
-			});
+			};
+			const sent = await adapter.commandQueue.enqueue(client, serial, payload);
 
 			adapter.safeSetState(`${devPrefix}.vacation.enabled`, { val: enabled, ack: true });
 			adapter.safeSetState(`${devPrefix}.vacation.begin`, { val: begin, ack: true });
 			adapter.safeSetState(`${devPrefix}.vacation.end`, { val: end, ack: true });
 			adapter.safeSetState(`${devPrefix}.vacation.temperature`, { val: tempC, ack: true });
+			return sent;
 		},
 		// =================== NAME =======================
-		name: async ({ devPrefix, serial, thermostatId, baseName }) => {
-			const newNameRaw = await readStr(`${devPrefix}.apply.name.value`, baseName);
+		name: async ({ client, devPrefix, serial, baseName, values }) => {
+			const newNameRaw = await readStr(`${devPrefix}.apply.name.value`, baseName, values);
 			const newName = newNameRaw.trim();
 
-			await adapter.client.updateThermostat(serial, { ThermostatName: newName });
+			const payload = { ThermostatName: newName };
+			const sent = await adapter.commandQueue.enqueue(client, serial, payload, { rename: true });
 
-			adapter.thermostatNameCache[thermostatId] = newName;
+			adapter.thermostatNameCache[devPrefix] = newName;
 			adapter.safeSetState(`${devPrefix}.thermostatName`, { val: newName, ack: true });
 			adapter.safeSetState(`${devPrefix}.apply.name.value`, { val: newName, ack: true });
+			return sent;
 		},
 	};
 
+	// Resolves with the UpdateThermostat payload that was sent, i.e. merged with the
+	// commands the queue coalesced with this one (undefined for unknown modes).
+	// Writes go through adapter.commandQueue; post-send updates only run when the
+	// command was actually sent (superseded commands reject).
 	return async ctx => {
 		const fn = handlers[ctx.modeFolder];
 		if (!fn) {
 			adapter.log.warn(`Apply ignored: unknown mode "${ctx.modeFolder}" (${ctx.id})`);
 			return;
 		}
-		await fn(ctx);
+		return fn(ctx);
 	};
 }
 
-module.exports = { createApplyRouter };
+module.exports = { createApplyRouter, readApplyInputs };
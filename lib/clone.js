@@ -0,0 +1,114 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { writeScheduleStates } = require('./writers');
+const { accountPrefix } = require('./accounts');
+
+// ============================================================================
+// Clone settings from one thermostat to others
+// - Copies Schedule, ComfortSetpoint, ManualModeSetpoint and VacationTemperature
+//   (raw cloud values from the last poll, no unit conversion)
+// - Each target keeps its own ThermostatName and regulation mode
+// - Same guards as apply: cloud connection required, offline targets are skipped
+// - Targets may belong to another cloud account, each is written by its own client
+// - Returns one result per target, a failing target does not stop the others
+// ============================================================================
+
+const CLONE_FIELDS = ['Schedule', 'ComfortSetpoint', 'ManualModeSetpoint', 'VacationTemperature'];
+
+function buildClonePayload(source) {
+	const payload = {};
+	for (const key of CLONE_FIELDS) {
+		if (source?.[key] !== undefined && source[key] !== null) {
+			payload[key] = JSON.parse(JSON.stringify(source[key]));
+		}
+	}
+	return payload;
+}
+
+// Thermostats that can receive the settings of `source` (all known except itself)
+function listCloneTargets(adapter, source) {
+	const src = adapter.findThermostat(source);
+	return Object.keys(adapter.thermostatSerial)
+		.filter(devId => devId !== src.devPrefix)
+		.map(devId => adapter.findThermostat(adapter.thermostatRef[devId]));
+}
+
+// source: { [accountId], thermostatId | serial },
+// targets: array of serials or { [accountId, groupId], thermostatId | serial }
+async function cloneThermostatSettings(adapter, source, targets) {
+	const src = adapter.findThermostat(source);
+	const payload = buildClonePayload(adapter.thermostatData[src.devPrefix]);
+	if (!Array.isArray(payload.Schedule?.Days)) {
+		throw new Error(`No settings known for source thermostat ${src.thermostatId} yet`);
+	}
+	if (!Array.isArray(targets) || !targets.length) {
+		throw new Error('No target thermostats given');
+	}
+
+	const connected = async accountId =>
+		(await adapter.getStateAsync(`${accountPrefix(accountId)}info.connection`))?.val === true;
+	if (!(await connected(src.accountId))) {
+		throw new Error('No cloud connection');
+	}
+
+	const results = [];
+	for (const target of targets) {
+		const ref = typeof target === 'object' && target !== null ? target : { serial: String(target) };
+		const res = { serial: String(ref.serial ?? ''), name: '', success: false, error: '' };
+		results.push(res);
+
+		let th;
+		try {
+			th = adapter.findThermostat(ref);
+		} catch (e) {
+			res.error = String(e?.message || e);
+			continue;
+		}
+		res.serial = th.serial;
+		res.name = th.name;
+
+		if (th.devPrefix === src.devPrefix) {
+			res.error = 'Target is the source thermostat';
+			continue;
+		}
+		const acc = adapter.getAccount(th.accountId);
+		if (!acc?.client || (th.accountId !== src.accountId && !(await connected(th.accountId)))) {
+			res.error = 'No cloud connection';
+			continue;
+		}
+		if (!(await adapter._isThermostatOnline(th))) {
+			res.error = 'Thermostat offline';
+			continue;
+		}
+
+		try {
+			await adapter.commandQueue.enqueue(acc.client, th.serial, { ThermostatName: th.name, ...payload });
+			res.success = true;
+		} catch (e) {
+			res.error = String(e?.message || e);
+			adapter.log.warn(`Clone to ${th.serial} failed: ${res.error}`);
+			if (adapter._isCommError(e)) {
+				adapter._setConnection(acc, false);
+				acc.warnedNoCloud = false;
+			}
+			continue;
+		}
+
+		// update cache/states right away, the next poll confirms
+		const cached = adapter.thermostatData[th.devPrefix];
+		if (cached) {
+			Object.assign(cached, JSON.parse(JSON.stringify(payload)));
+		}
+		await writeScheduleStates(adapter, th.devPrefix, payload.Schedule, {
+			thermostatName: th.name,
+			serialNumber: th.serial,
+		});
+	}
+
+	const ok = results.filter(r => r.success).length;
+	adapter.log.info(`Cloned settings of ${src.name} (${src.serial}) to ${ok}/${results.length} thermostat(s)`);
+	return { source: { serial: src.serial, name: src.name }, results };
+}
+
+module.exports = { CLONE_FIELDS, listCloneTargets, cloneThermostatSettings };
@@ -0,0 +1,125 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+// ============================================================================
+// Per-thermostat command queue (UpdateThermostat writes)
+// - One FIFO per SerialNumber, one request in flight per thermostat, sent by
+//   the client of the thermostat's cloud account
+// - Commands arriving within `windowMs` are merged into a single payload
+//   (later fields win)
+// - Mode changes: only the last command carrying a RegulationMode is sent,
+//   earlier ones are rejected with CommandSupersededError
+// - ThermostatName: every payload carries the current name (API requirement),
+//   so a rename in the batch wins over the names of the other commands
+// ============================================================================
+
+const COALESCE_WINDOW_MS = 500;
+
+class CommandSupersededError extends Error {
+	constructor(serial) {
+		super(`Command for ${serial} superseded by a newer mode change`);
+		this.name = 'CommandSupersededError';
+	}
+}
+
+function mergeCommands(batch) {
+	let lastMode = -1;
+	batch.forEach((cmd, i) => {
+		if (cmd.payload.RegulationMode !== undefined) {
+			lastMode = i;
+		}
+	});
+
+	const dropped = batch.filter((cmd, i) => cmd.payload.RegulationMode !== undefined && i !== lastMode);
+	const sent = batch.filter(cmd => !dropped.includes(cmd));
+
+	const payload = Object.assign({}, ...sent.map(cmd => cmd.payload));
+	const rename = sent.filter(cmd => cmd.rename).pop();
+	if (rename) {
+		payload.ThermostatName = rename.payload.ThermostatName;
+	}
+	return { payload, sent, dropped };
+}
+
+function createCommandQueue(adapter) {
+	const queues = new Map(); // serial -> { client, pending: [], timer, busy }
+
+	const arm = (serial, q) => {
+		q.timer = adapter.setTimeout(() => {
+			q.timer = null;
+			flush(serial, q).catch(e => adapter.log.debug(`Command queue ${serial}: ${e?.message || e}`));
+		}, queue.windowMs);
+	};
+
+	const flush = async (serial, q) => {
+		const batch = q.pending.splice(0);
+		if (!batch.length) {
+			queues.delete(serial);
+			return;
+		}
+
+		const { payload, sent, dropped } = mergeCommands(batch);
+		for (const cmd of dropped) {
+			cmd.reject(new CommandSupersededError(serial));
+		}
+		if (batch.length > 1) {
+			adapter.log.debug(
+				`Command queue ${serial}: merged ${batch.length} command(s), ${dropped.length} superseded`,
+			);
+		}
+
+		q.busy = true;
+		try {
+			await q.client.updateThermostat(serial, payload);
+			for (const cmd of sent) {
+				cmd.resolve(payload);
+			}
+		} catch (e) {
+			for (const cmd of sent) {
+				cmd.reject(e);
+			}
+		} finally {
+			q.busy = false;
+			if (q.pending.length) {
+				arm(serial, q);
+			} else {
+				queues.delete(serial);
+			}
+		}
+	};
+
+	const queue = {
+		windowMs: COALESCE_WINDOW_MS,
+
+		// Resolves with the merged payload that was sent for this command
+		enqueue(client, serial, payload, { rename = false } = {}) {
+			return new Promise((resolve, reject) => {
+				let q = queues.get(serial);
+				if (!q) {
+					q = { client, pending: [], timer: null, busy: false };
+					queues.set(serial, q);
+				}
+				q.pending.push({ payload, rename, resolve, reject });
+				if (!q.busy && !q.timer) {
+					arm(serial, q);
+				}
+			});
+		},
+
+		cancelAll() {
+			for (const q of queues.values()) {
+				if (q.timer) {
+					adapter.clearTimeout(q.timer);
+				}
+				for (const cmd of q.pending.splice(0)) {
+					cmd.reject(new Error('Adapter is stopping'));
+				}
+			}
+			queues.clear();
+		},
+	};
+
+	return queue;
+}
+
+module.exports = { COALESCE_WINDOW_MS, CommandSupersededError, mergeCommands, createCommandQueue };
@@ -0,0 +1,91 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { OJClient, clientOptionsFromConfig } = require('./oj-client');
+const { OJAuthError, OJTransientError } = require('./errors');
+const { missingFields } = require('./accounts');
+
+// ============================================================================
+// Connection test / thermostat discovery for the admin config (sendTo buttons)
+// - Uses the unsaved form values, missing ones fall back to the saved config
+//   (proxy, CA and TLS settings included)
+// - Temporary OJClient: login() + getGroupContents(), no retries, no states
+// - Result: readable text for the dialog plus the groups/thermostats found
+// ============================================================================
+
+function failureReason(e) {
+	const msg = String(e?.message || e);
+	if (e instanceof OJAuthError) {
+		return `Login rejected – check username, password, API key and customer ID (${msg})`;
+	}
+	if (e instanceof OJTransientError && e.errorCode !== null) {
+		return `Cloud answered ErrorCode ${e.errorCode} – check username, password, API key and customer ID (${msg})`;
+	}
+	if (e instanceof OJTransientError) {
+		return `Cloud not reachable – check network, proxy and base URLs (${msg})`;
+	}
+	if (/certificate|self[- ]signed|CERT_/i.test(`${msg} ${e?.cause?.code || ''}`)) {
+		return `TLS certificate not trusted – check the custom CA setting (${msg})`;
+	}
+	return msg;
+}
+
+function summarizeGroups(data) {
+	return (Array.isArray(data?.GroupContents) ? data.GroupContents : []).map(g => ({
+		groupId: String(g?.GroupId ?? ''),
+		groupName: String(g?.GroupName || ''),
+		thermostats: (Array.isArray(g?.Thermostats) ? g.Thermostats : []).map(t => ({
+			thermostatId: String(t?.Id ?? ''),
+			serial: String(t?.SerialNumber || ''),
+			name: String(t?.ThermostatName || ''),
+			online: Boolean(t?.Online),
+		})),
+	}));
+}
+
+function formatGroups(groups) {
+	const lines = [];
+	for (const g of groups) {
+		lines.push(`${g.groupName || 'Group'} (${g.groupId})`);
+		for (const t of g.thermostats) {
+			lines.push(`  • ${t.name || t.thermostatId} – ${t.serial} – ${t.online ? 'online' : 'offline'}`);
+		}
+	}
+	return lines.join('\n');
+}
+
+// form: unsaved admin values; throws with a specific reason on failure
+async function testCloudConnection(adapter, form, { discover = false } = {}) {
+	const values = Object.fromEntries(
+		Object.entries(form && typeof form === 'object' ? form : {}).filter(([, v]) => v !== undefined),
+	);
+	const config = { ...adapter.config, ...values };
+	const missing = missingFields(config);
+	if (missing.length) {
+		throw new Error(`Missing ${missing.join(', ')}`);
+	}
+
+	const client = new OJClient({
+		log: adapter.log,
+		...clientOptionsFromConfig(config),
+		readRetries: 0,
+	});
+	let groups;
+	try {
+		await client.login();
+		groups = summarizeGroups(await client.getGroupContents());
+	} catch (e) {
+		throw new Error(failureReason(e));
+	} finally {
+		client.abort();
+	}
+
+	const count = groups.reduce((n, g) => n + g.thermostats.length, 0);
+	const head = `Login OK – ${groups.length} group(s), ${count} thermostat(s)`;
+	return {
+		result: discover && count ? `${head}\n\n${formatGroups(groups)}` : head,
+		groups,
+	};
+}
+
+module.exports = { testCloudConnection };
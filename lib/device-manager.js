@@ -3,6 +3,8 @@
 
 const { DeviceManagement } = require('@iobroker/dm-utils');
 const { safeId } = require('./util');
+const { accountPrefix, thermostatDevId, accountIdOf } = require('./accounts');
+const { listCloneTargets, cloneThermostatSettings } = require('./clone');
 const GROUP_TO_THERMOSTATS_OFFSET = 2;
 
 /** Device Manager integration for thermostat devices. */
@@ -35,12 +37,12 @@ class SchlueterDeviceManagement extends DeviceManagement {
 		const groupNameCache = new Map();
 
 		for (const { device, ids } of addableDevices) {
-			const { groupId, thermostatId } = ids;
-			const dmDeviceId = this._toDeviceId(groupId, thermostatId);
-			const groupName = await this._getGroupName(groupId, groupNameCache);
+			const { accountId, groupId, thermostatId } = ids;
+			const dmDeviceId = this._toDeviceId(ids);
+			const groupName = await this._getGroupName(ids, groupNameCache);
 			const thermostatName = String(device.common?.name || `Thermostat ${thermostatId}`);
 			const onlineState = await this.adapter.getStateAsync(
-				`${this.adapter.namespace}.${this._prefix(groupId, thermostatId)}.online`,
+				`${this.adapter.namespace}.${this._prefix(ids)}.online`,
 			);
 			const isOnline = onlineState?.val === true;
 
@@ -50,14 +52,24 @@ class SchlueterDeviceManagement extends DeviceManagement {
 				icon: `/adapter/${this.adapter.name}/schlueter-thermostat.png`,
 				status: {
 					connection: {
-						stateId: `${this.adapter.namespace}.${this._prefix(groupId, thermostatId)}.online`,
+						stateId: `${this.adapter.namespace}.${this._prefix(ids)}.online`,
 						mapping: { true: 'connected', false: 'disconnected' },
 					},
 				},
 				color: !isOnline ? '#fff' : undefined,
 				backgroundColor: !isOnline ? '#f44336' : undefined,
 				controls: [],
-				actions: [],
+				actions: [
+					{
+						id: 'clone',
+						icon: 'copy',
+						description: {
+							en: 'Copy schedule and setpoints to other thermostats',
+							de: 'Zeitplan und Sollwerte auf andere Thermostate kopieren',
+						},
+						handler: (deviceId, actionContext) => this._handleClone(deviceId, actionContext),
+					},
+				],
 				hasDetails: true,
 				customInfo: {
 					id: `card/${dmDeviceId}`,
@@ -66,7 +78,7 @@ class SchlueterDeviceManagement extends DeviceManagement {
 						items: {
 							roomTemperature: {
 								type: 'state',
-								oid: `${this.adapter.namespace}.${this._prefix(groupId, thermostatId)}.temperature.room`,
+								oid: `${this.adapter.namespace}.${this._prefix(ids)}.temperature.room`,
 								foreign: true,
 								label: { en: 'Room temperature', de: 'Raumtemperatur' },
 								unit: '°C',
@@ -74,7 +86,7 @@ class SchlueterDeviceManagement extends DeviceManagement {
 							},
 							floorTemperature: {
 								type: 'state',
-								oid: `${this.adapter.namespace}.${this._prefix(groupId, thermostatId)}.temperature.floor`,
+								oid: `${this.adapter.namespace}.${this._prefix(ids)}.temperature.floor`,
 								foreign: true,
 								label: { en: 'Floor temperature', de: 'Bodentemperatur' },
 								unit: '°C',
@@ -82,7 +94,7 @@ class SchlueterDeviceManagement extends DeviceManagement {
 							},
 							heating: {
 								type: 'state',
-								oid: `${this.adapter.namespace}.${this._prefix(groupId, thermostatId)}.heating`,
+								oid: `${this.adapter.namespace}.${this._prefix(ids)}.heating`,
 								foreign: true,
 								label: { en: 'Heating', de: 'Heizen' },
 								trueText: { en: 'On', de: 'An' },
@@ -91,7 +103,7 @@ class SchlueterDeviceManagement extends DeviceManagement {
 							},
 							regulationMode: {
 								type: 'state',
-								oid: `${this.adapter.namespace}.${this._prefix(groupId, thermostatId)}.regulationMode`,
+								oid: `${this.adapter.namespace}.${this._prefix(ids)}.regulationMode`,
 								foreign: true,
 								label: { en: 'Regulation mode', de: 'Regelungsmodus' },
 								states: {
@@ -109,7 +121,7 @@ class SchlueterDeviceManagement extends DeviceManagement {
 							},
 							consumption: {
 								type: 'state',
-								oid: `${this.adapter.namespace}.${this._prefix(groupId, thermostatId)}.energy.value0`,
+								oid: `${this.adapter.namespace}.${this._prefix(ids)}.energy.value0`,
 								foreign: true,
 								label: { en: 'Consumption', de: 'Verbrauch' },
 								unit: 'kWh',
@@ -119,7 +131,7 @@ class SchlueterDeviceManagement extends DeviceManagement {
 					},
 				},
 				group: {
-					key: `group/${groupId}`,
+					key: accountId ? `group/${accountId}/${groupId}` : `group/${groupId}`,
 					name: groupName,
 				},
 			});
@@ -129,18 +141,18 @@ class SchlueterDeviceManagement extends DeviceManagement {
 	/**
 	 * Returns settings form schema for the device details view.
 	 *
-	 * @param {string} deviceId device id in `groupId/thermostatId` format
+	 * @param {string} deviceId device id in `[accountId/]groupId/thermostatId` format
 	 */
 	getDeviceDetails(deviceId) {
 		const ids = this._parseDeviceId(deviceId);
 		if (!ids) {
 			return { id: deviceId, schema: this._emptyDetailsSchema() };
 		}
-		const prefix = this._prefix(ids.groupId, ids.thermostatId);
+		const prefix = this._prefix(ids);
 		const id = `${this.adapter.namespace}.${prefix}`;
 		return {
 			id: deviceId,
-			schema: this._detailsSchema(prefix, id, ids.groupId, ids.thermostatId),
+			schema: this._detailsSchema(prefix, id, ids),
 		};
 	}
 
@@ -196,7 +208,7 @@ class SchlueterDeviceManagement extends DeviceManagement {
 	}
 
 	/** @returns {import('@iobroker/dm-utils').JsonFormSchema} thermostat details schema */
-	_detailsSchema(prefix, id, groupId, thermostatId) {
+	_detailsSchema(prefix, id, { accountId, groupId, thermostatId }) {
 		const measurements = this._measurementItems(id);
 		return {
 			type: 'tabs',
@@ -213,6 +225,19 @@ class SchlueterDeviceManagement extends DeviceManagement {
 							newLine: true,
 						},
 						_d1: { type: 'divider', color: 'primary' },
+						...(accountId
+							? {
+									accountId: {
+										type: 'staticInfo',
+										label: { en: 'Account', de: 'Konto' },
+										data: accountId,
+										addColon: true,
+										size: 'normal',
+										sm: 12,
+										newLine: true,
+									},
+								}
+							: {}),
 						groupId: {
 							type: 'staticInfo',
 							label: { en: 'Group', de: 'Gruppe' },
@@ -421,22 +446,90 @@ class SchlueterDeviceManagement extends DeviceManagement {
 		};
 	}
 
+	/**
+	 * Device action: asks for target thermostats and copies schedule, comfort/manual
+	 * setpoints and vacation temperature of the selected device to them.
+	 *
+	 * @param {string} deviceId device id in `[accountId/]groupId/thermostatId` format
+	 * @param {import('@iobroker/dm-utils').ActionContext} context action context
+	 * @returns {Promise<{refresh: 'none' | 'devices'}>} refresh hint for the Device Manager
+	 */
+	async _handleClone(deviceId, context) {
+		const ids = this._parseDeviceId(deviceId);
+		const source = { accountId: ids?.accountId, groupId: ids?.groupId, thermostatId: ids?.thermostatId };
+		let candidates;
+		try {
+			candidates = listCloneTargets(this.adapter, source);
+		} catch {
+			await context.showMessage({
+				en: 'Thermostat not known yet, please wait for the next poll.',
+				de: 'Thermostat noch unbekannt, bitte den nächsten Abruf abwarten.',
+			});
+			return { refresh: 'none' };
+		}
+		if (!candidates.length) {
+			await context.showMessage({
+				en: 'There are no other thermostats to copy to.',
+				de: 'Es gibt keine weiteren Thermostate als Ziel.',
+			});
+			return { refresh: 'none' };
+		}
+
+		const data = await context.showForm(
+			{ type: 'panel', items: this._cloneTargetItems(candidates) },
+			{ title: { en: 'Copy settings to', de: 'Einstellungen kopieren nach' }, buttons: ['apply', 'cancel'] },
+		);
+		if (!data) {
+			return { refresh: 'none' };
+		}
+
+		const targets = candidates
+			.filter((th, i) => data[`target_${i}`] === true)
+			.map(th => ({ accountId: th.accountId, groupId: th.groupId, thermostatId: th.thermostatId }));
+		if (!targets.length) {
+			await context.showMessage({ en: 'No target selected.', de: 'Kein Ziel ausgewählt.' });
+			return { refresh: 'none' };
+		}
+
+		let text;
+		try {
+			const { results } = await cloneThermostatSettings(this.adapter, source, targets);
+			text = results.map(r => `${r.name || r.serial}: ${r.success ? 'OK' : r.error}`).join('\n');
+		} catch (e) {
+			text = String(e?.message || e);
+		}
+		await context.showMessage(text);
+		return { refresh: 'devices' };
+	}
+
+	/** @returns {Record<string, import('@iobroker/dm-utils').ConfigItemAny>} one checkbox per clone target */
+	_cloneTargetItems(candidates) {
+		return Object.fromEntries(
+			candidates.map((th, i) => [
+				`target_${i}`,
+				{ type: 'checkbox', label: `${th.name} (${th.serial})`, sm: 12, newLine: true },
+			]),
+		);
+	}
+
 	/** Builds the object path prefix for a thermostat. */
-	_prefix(groupId, thermostatId) {
-		return `groups.${safeId(groupId)}.thermostats.${safeId(thermostatId)}`;
+	_prefix({ accountId, groupId, thermostatId }) {
+		return thermostatDevId(accountId, groupId, thermostatId);
 	}
 
-	/** Creates a deterministic string id for Device Manager. */
-	_toDeviceId(groupId, thermostatId) {
-		return `${safeId(groupId)}/${safeId(thermostatId)}`;
+	/** Creates a deterministic string id for Device Manager (account only for additional accounts). */
+	_toDeviceId({ accountId, groupId, thermostatId }) {
+		const id = `${safeId(groupId)}/${safeId(thermostatId)}`;
+		return accountId ? `${accountId}/${id}` : id;
 	}
 
-	/** Parses group/thermostat ids from native fields or object id fallback. */
+	/** Parses account/group/thermostat ids from native fields or object id fallback. */
 	_extractIds(device) {
+		const accountId = String(device.native?.accountId ?? '') || accountIdOf(device._id);
 		let groupId = String(device.native?.groupId ?? '');
 		let thermostatId = String(device.native?.thermostatId ?? '');
 		if (groupId && thermostatId) {
-			return { groupId, thermostatId };
+			return { accountId, groupId, thermostatId };
 		}
 
 		const parts = String(device._id || '').split('.');
@@ -448,35 +541,38 @@ class SchlueterDeviceManagement extends DeviceManagement {
 			thermostatId = thermostatId || String(parts[thermostatIndex + 1] || '');
 		}
 
-		return { groupId, thermostatId };
+		return { accountId, groupId, thermostatId };
 	}
 
-	/** Resolves and caches group name by group id. */
-	async _getGroupName(groupId, groupNameCache) {
-		if (groupNameCache.has(groupId)) {
-			return groupNameCache.get(groupId);
+	/** Resolves and caches group name (prefixed with the account name for additional accounts). */
+	async _getGroupName({ accountId, groupId }, groupNameCache) {
+		const groupFolderId = `${accountPrefix(accountId)}groups.${safeId(groupId)}`;
+		if (groupNameCache.has(groupFolderId)) {
+			return groupNameCache.get(groupFolderId);
 		}
-		const groupFolderId = `groups.${safeId(groupId)}`;
 		const groupObj = await this.adapter.getObjectAsync(groupFolderId);
-		const name = String(groupObj?.common?.name || `Group ${groupId}`);
-		groupNameCache.set(groupId, name);
+		let name = String(groupObj?.common?.name || `Group ${groupId}`);
+		if (accountId) {
+			const accountObj = await this.adapter.getObjectAsync(`accounts.${accountId}`);
+			name = `${accountObj?.common?.name || accountId} / ${name}`;
+		}
+		groupNameCache.set(groupFolderId, name);
 		return name;
 	}
 
-	/** Parses a deterministic device id string back into groupId and thermostatId. */
+	/** Parses a deterministic device id string back into account, group and thermostat id. */
 	_parseDeviceId(deviceId) {
-		const match = String(deviceId ?? '').match(/^([^/]+)\/([^/]+)$/);
-		return match ? { groupId: match[1], thermostatId: match[2] } : null;
+		const match = String(deviceId ?? '').match(/^(?:([^/]+)\/)?([^/]+)\/([^/]+)$/);
+		return match ? { accountId: match[1] || '', groupId: match[2], thermostatId: match[3] } : null;
 	}
 
 	/** Writes a control state and returns the latest value from DB. */
 	async _writeState(deviceId, suffix, value) {
 		const ids = this._parseDeviceId(deviceId);
 		if (!ids) {
-			throw new Error(`Invalid device id format: ${deviceId}. Expected format: groupId/thermostatId`);
+			throw new Error(`Invalid device id format: ${deviceId}. Expected format: [accountId/]groupId/thermostatId`);
 		}
-		const { groupId, thermostatId } = ids;
-		const base = this._prefix(groupId, thermostatId);
+		const base = this._prefix(ids);
 		const id = `${base}.${suffix}`;
 		await this.adapter.setStateAsync(id, { val: value, ack: false });
 		return (
@@ -0,0 +1,101 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+// ============================================================================
+// Endpoint profiles (config.provider, per account)
+// - A profile bundles the cloud hosts, the default API key / customer ID and
+//   the field names of the request payloads of one brand / region
+// - 'wd5': WD5 series in the generic OJ Microline app (layout of the WD5 API in
+//   python-ojmicroline-thermostat): one host for reads and writes, customer
+//   ID 99, sign-in with the app version, API key of the vendor app required
+// - 'custom': hosts from baseUrlOwd5 / baseUrlOcd5 (required) with OWD5 payloads
+// - API key and customer ID from the config win over the profile defaults,
+//   unless empty or still the OWD5 defaults of older versions
+// - Base URLs other than the OWD5 defaults are kept for every profile, so
+//   existing setups pointing to another host keep working
+// - New brands only need an entry here (hosts, defaults, payload fields)
+// ============================================================================
+
+const OWD5_FIELDS = {
+	// UserProfile/SignIn body
+	signIn: { apiKey: 'APIKEY', userName: 'UserName', password: 'Password', customerId: 'CustomerId' },
+	// query parameters of GroupContents / UpdateThermostat / GetEnergyUsage
+	sessionParam: 'sessionid',
+	apiKeyParam: 'APIKEY',
+	// UpdateThermostat body: { <apiKey>: …, <thermostat>: { <serial>: …, ...fields } }
+	update: { apiKey: 'APIKEY', thermostat: 'SetThermostat', serial: 'SerialNumber' },
+	// GetEnergyUsage body
+	energy: {
+		apiKey: 'APIKEY',
+		dateTime: 'DateTime',
+		history: 'History',
+		serial: 'ThermostatID',
+		viewType: 'ViewType',
+	},
+};
+
+const WD5_FIELDS = {
+	...OWD5_FIELDS,
+	signIn: { ...OWD5_FIELDS.signIn, clientSwVersion: 'ClientSWVersion' },
+};
+
+const ENDPOINT_PROFILES = {
+	owd5: {
+		name: 'Schlüter DITRA-HEAT-E-WiFi / OJ Microline OWD5',
+		baseUrlOwd5: 'https://owd5-mh015-app.ojelectronics.com',
+		baseUrlOcd5: 'https://ocd5.azurewebsites.net',
+		apiKey: 'f219aab4-9ac0-4343-8422-b72203e2fac9',
+		customerId: 1,
+		fields: OWD5_FIELDS,
+	},
+	wd5: {
+		name: 'OJ Microline WD5 series (OJ app)',
+		baseUrlOwd5: 'https://ocd5.azurewebsites.net',
+		baseUrlOcd5: 'https://ocd5.azurewebsites.net',
+		apiKey: '',
+		customerId: 99,
+		clientSwVersion: 1060,
+		fields: WD5_FIELDS,
+	},
+	custom: {
+		name: 'Custom (own base URLs required, OWD5 payloads)',
+		baseUrlOwd5: '',
+		baseUrlOcd5: '',
+		apiKey: '',
+		customerId: 0,
+		fields: OWD5_FIELDS,
+	},
+};
+
+const DEFAULT_PROFILE = 'owd5';
+
+function profileId(provider) {
+	return Object.prototype.hasOwnProperty.call(ENDPOINT_PROFILES, provider) ? provider : DEFAULT_PROFILE;
+}
+
+// Hosts, API key, customer ID and payload fields of a config, resolved against its profile
+function resolveEndpoint(config) {
+	const id = profileId(config?.provider);
+	const profile = ENDPOINT_PROFILES[id];
+	const legacy = ENDPOINT_PROFILES[DEFAULT_PROFILE];
+
+	const pick = key => {
+		const v = config?.[key];
+		if (v === undefined || v === null || v === '') {
+			return profile[key];
+		}
+		return id === 'custom' || String(v) !== String(legacy[key]) ? v : profile[key];
+	};
+
+	return {
+		provider: id,
+		baseUrlOwd5: String(pick('baseUrlOwd5') || ''),
+		baseUrlOcd5: String(pick('baseUrlOcd5') || ''),
+		apiKey: String(pick('apiKey') || ''),
+		customerId: Number(pick('customerId')) || 0,
+		clientSwVersion: profile.clientSwVersion || 0,
+		fields: profile.fields,
+	};
+}
+
+module.exports = { OWD5_FIELDS, WD5_FIELDS, ENDPOINT_PROFILES, DEFAULT_PROFILE, resolveEndpoint };
@@ -0,0 +1,168 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { ensureEnergyHistoryObjects } = require('./objects');
+const {
+	ENERGY_VIEWS,
+	energyRequestTime,
+	thermostatToday,
+	datedUsage,
+	thermostatZone,
+	bucketTimestamp,
+	isFinishedBucket,
+} = require('./energy');
+
+// ============================================================================
+// Energy buckets into a history adapter (config.energyHistoryInstance)
+// - Finished days of the month view go to <thermostat>.energy.daily,
+//   finished months of the year view to energy.monthly, each value with its
+//   bucket start as ts: sendTo(<instance>, 'storeState', { id, state: [...] });
+//   the start is local midnight in the offset of the bucket's own date
+//   (DST), see thermostatZone in lib/energy.js
+// - native.history of both states remembers the instance and the kWh sent per
+//   bucket; a bucket is sent again only after a correction by the cloud
+// - First run per thermostat and instance: backfill of History 1 … N
+//   (config.energyBackfillPeriods) of both views; retried at the next energy
+//   update until every request of it succeeded
+// - Another instance in the config starts over (including the backfill)
+// ============================================================================
+
+const STORE_TIMEOUT_MS = 30000;
+const DEFAULT_BACKFILL_PERIODS = 3;
+const MAX_BACKFILL_PERIODS = 24;
+
+/** kind -> view of its buckets and how many sent buckets are remembered */
+const KINDS = {
+	daily: { view: ENERGY_VIEWS.month, keep: 40 },
+	monthly: { view: ENERGY_VIEWS.year, keep: 13 },
+};
+
+function createEnergyHistory(adapter) {
+	function instance() {
+		return String(adapter.config.energyHistoryInstance || '').trim();
+	}
+
+	function enabled() {
+		return !!instance();
+	}
+
+	function backfillPeriods() {
+		const raw = adapter.config.energyBackfillPeriods;
+		const n = raw === undefined || raw === null || raw === '' ? DEFAULT_BACKFILL_PERIODS : Number(raw);
+		return Math.min(MAX_BACKFILL_PERIODS, Math.max(0, Math.floor(Number.isFinite(n) ? n : 0)));
+	}
+
+	// Kind of the buckets of a request ('' if not pushed)
+	function kindOf(viewType) {
+		return Object.keys(KINDS).find(kind => KINDS[kind].view.viewType === viewType) || '';
+	}
+
+	// State object and its push record for the configured instance
+	async function record(th, kind) {
+		await ensureEnergyHistoryObjects(adapter, th.devId);
+		const obj = await adapter.safeGetObject(`${th.devId}.energy.${kind}`);
+		const prev = obj?.native?.history;
+		const history = prev?.instance === instance() ? prev : { instance: instance(), backfilled: false, sent: {} };
+		return { obj, history };
+	}
+
+	// Sends the finished buckets of `rows` not sent before; false if the instance did not take them
+	async function store(th, kind, rows, { backfill = false } = {}) {
+		const { obj, history } = await record(th, kind);
+		if (!obj) {
+			return false;
+		}
+		const id = `${th.devId}.energy.${kind}`;
+		const today = thermostatToday(th.tzSec);
+		const zone = thermostatZone(th.tzSec, adapter.config.energyTimeZone);
+		if (!zone) {
+			adapter.log.debug(
+				`Energy history: no time zone matches TimeZone=${th.tzSec}s of ${th.devId}, older buckets keep this offset`,
+			);
+		}
+		const sent = { ...history.sent };
+		const states = [];
+		for (const { date, kWh } of rows) {
+			if (kWh === null || !isFinishedBucket(date, today) || sent[date] === kWh) {
+				continue;
+			}
+			sent[date] = kWh;
+			states.push({
+				val: kWh,
+				ts: bucketTimestamp(date, th.tzSec, zone),
+				ack: true,
+				from: `system.adapter.${adapter.namespace}`,
+			});
+		}
+
+		if (states.length) {
+			states.sort((a, b) => a.ts - b.ts);
+			try {
+				const res = await adapter.sendToAsync(
+					history.instance,
+					'storeState',
+					{ id: `${adapter.namespace}.${id}`, state: states },
+					{ timeout: STORE_TIMEOUT_MS },
+				);
+				if (res?.error) {
+					throw new Error(String(res.error));
+				}
+			} catch (e) {
+				if (!adapter.unloading) {
+					adapter.log.warn(`Energy history: ${history.instance} did not store ${id}: ${e?.message || e}`);
+				}
+				return false;
+			}
+			adapter.log.debug(`Energy history: ${states.length} value(s) of ${id} sent to ${history.instance}`);
+		}
+
+		const keep = new Set(Object.keys(sent).sort().slice(-KINDS[kind].keep));
+		const next = {
+			instance: history.instance,
+			backfilled: history.backfilled || backfill,
+			sent: Object.fromEntries(Object.entries(sent).filter(([date]) => keep.has(date))),
+		};
+		if (JSON.stringify(next) !== JSON.stringify(obj.native?.history)) {
+			await adapter.safeSetObject(id, { ...obj, native: { ...(obj.native || {}), history: next } });
+		}
+		return true;
+	}
+
+	// Older periods of both views, once per thermostat and instance
+	async function backfill(acc, th) {
+		for (const [kind, { view }] of Object.entries(KINDS)) {
+			const { obj, history } = await record(th, kind);
+			if (!obj || history.backfilled) {
+				continue;
+			}
+			const rows = [];
+			for (let h = backfillPeriods(); h >= 1; h--) {
+				const dateTime = energyRequestTime(th.tzSec);
+				try {
+					const energy = await acc.client.getEnergyUsage(th.serial, {
+						history: h,
+						viewType: view.viewType,
+						dateTime,
+					});
+					const usage = energy?.EnergyUsage?.[0]?.Usage || [];
+					rows.push(...datedUsage(usage, { dateTime, history: h, viewType: view.viewType }));
+				} catch (e) {
+					if (!adapter.unloading) {
+						adapter.log.debug(
+							`Energy history: backfill for SerialNumber=${th.serial} (ViewType=${view.viewType}, History=${h}) failed, retried later: ${e?.message || e}`,
+						);
+					}
+					return;
+				}
+			}
+			if (adapter.unloading) {
+				return;
+			}
+			await store(th, kind, rows, { backfill: true });
+		}
+	}
+
+	return { enabled, kindOf, store, backfill };
+}
+
+module.exports = { createEnergyHistory };
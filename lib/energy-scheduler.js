@@ -0,0 +1,324 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { groupDevId } = require('./accounts');
+const { writeEnergyStates, writeEnergyTable, writeEnergyTotals } = require('./writers');
+const { createEnergyHistory } = require('./energy-history');
+const {
+	ENERGY_VIEWS,
+	ENERGY_TOTALS,
+	TOTALS_REQUESTS,
+	energyRequestTime,
+	thermostatToday,
+	datedUsage,
+	energyTotals,
+	advanceMeter,
+} = require('./energy');
+
+// ============================================================================
+// Energy polling, decoupled from the GroupContents poll
+// - Own timer (config.energyIntervalMin, default 60 min); the cloud updates
+//   energy data only a few times per day
+// - Requests per thermostat: the configured view (energyViewType /
+//   energyHistory → energy.value<i>) and the enabled dated tables
+//   (energyWeek / energyMonth / energyYear → energy.<view>.json) and the
+//   requests of the rolling totals (energyTotals → energy.today …); equal
+//   requests are sent once
+// - Totals per thermostat, summed up per group (groups.<id>.energy.*) and
+//   for the instance (energy.*) from the last known values
+// - energy.meterTotal (energyMeter) from the month view; its counted days
+//   live in the object's native.meter and survive restarts
+// - Finished buckets of the month and year view go to the history instance
+//   with their own timestamps (lib/energy-history.js)
+// - Responses are cached per serial number and request; a request is sent
+//   again once its entry is older than the interval
+// - A poll fetches only thermostats without cached data (start, new device)
+// - Paused per account while it is disconnected or in fallback backoff
+// ============================================================================
+
+const DEFAULT_INTERVAL_MIN = 60;
+const MIN_INTERVAL_MIN = 5;
+const VIEW_OPTIONS = { week: 'energyWeek', month: 'energyMonth', year: 'energyYear' };
+const METER_REQUEST = { viewType: ENERGY_VIEWS.month.viewType, history: 0 };
+
+function createEnergyScheduler(adapter) {
+	/** `${serial}|${viewType}|${history}` -> { at, dateTime, usage } (usage null: read failed) */
+	const cache = new Map();
+	/** devId -> { accountId, group: channel id of the group, totals } */
+	const totalsByThermostat = new Map();
+	/** serial numbers whose disabled tables were removed */
+	const cleaned = new Set();
+	const energyHistory = createEnergyHistory(adapter);
+	let timer = null;
+	let running = null;
+
+	function intervalMs() {
+		const min = Number(adapter.config.energyIntervalMin);
+		return Math.max(MIN_INTERVAL_MIN, Number.isFinite(min) && min > 0 ? min : DEFAULT_INTERVAL_MIN) * 60 * 1000;
+	}
+
+	// Requests of every thermostat: { key, viewType, history, values, tables[], totals, meter, store }
+	function requests() {
+		const out = new Map();
+		const add = (viewType, history) => {
+			const key = `${viewType}|${history}`;
+			if (!out.has(key)) {
+				out.set(key, {
+					key,
+					viewType,
+					history,
+					values: false,
+					tables: [],
+					totals: false,
+					meter: false,
+					store: false,
+				});
+			}
+			return out.get(key);
+		};
+		add(Number(adapter.config.energyViewType) || 2, Number(adapter.config.energyHistory) || 0).values = true;
+		for (const [view, { viewType }] of Object.entries(ENERGY_VIEWS)) {
+			if (adapter.config[VIEW_OPTIONS[view]] === true) {
+				add(viewType, 0).tables.push(view);
+			}
+		}
+		if (adapter.config.energyTotals !== false) {
+			for (const { viewType, history } of TOTALS_REQUESTS) {
+				add(viewType, history).totals = true;
+			}
+		}
+		if (adapter.config.energyMeter !== false) {
+			add(METER_REQUEST.viewType, METER_REQUEST.history).meter = true;
+		}
+		if (energyHistory.enabled()) {
+			for (const view of [ENERGY_VIEWS.month, ENERGY_VIEWS.year]) {
+				add(view.viewType, 0).store = true;
+			}
+		}
+		return [...out.values()];
+	}
+
+	function paused(acc) {
+		return !acc.client || !acc.connected || acc.inFixedSchedule || acc.currentIntervalMs > acc.baseIntervalMs;
+	}
+
+	function isDue(serial, req) {
+		const entry = cache.get(`${serial}|${req.key}`);
+		return !entry || Date.now() - entry.at >= intervalMs();
+	}
+
+	// Thermostats of one account seen by the last polls
+	function thermostatsOf(acc) {
+		return Object.entries(adapter.thermostatRef)
+			.filter(([devId, th]) => th.accountId === acc.id && adapter.thermostatSerial[devId])
+			.map(([devId, th]) => ({
+				accountId: acc.id,
+				serial: adapter.thermostatSerial[devId],
+				devId,
+				tzSec: adapter.thermostatTimeZoneSec[devId],
+				group: `${groupDevId(acc.id, th.groupId)}.energy`,
+			}));
+	}
+
+	async function fetchOne(acc, { serial, devId, tzSec }, req) {
+		const dateTime = energyRequestTime(tzSec);
+		try {
+			adapter.log.debug(`Energy: requesting usage for SerialNumber=${serial} (ViewType=${req.viewType})`);
+			const energy = await acc.client.getEnergyUsage(serial, {
+				history: req.history,
+				viewType: req.viewType,
+				dateTime,
+			});
+			const usage = energy?.EnergyUsage?.[0]?.Usage || [];
+			cache.set(`${serial}|${req.key}`, { at: Date.now(), dateTime, usage });
+
+			if (req.values) {
+				await writeEnergyStates(adapter, devId, usage);
+			}
+			for (const view of req.tables) {
+				const rows = datedUsage(usage, { dateTime, history: req.history, viewType: req.viewType });
+				await writeEnergyTable(adapter, devId, view, ENERGY_VIEWS[view].name, rows);
+			}
+		} catch (e) {
+			if (adapter.unloading) {
+				return;
+			}
+			adapter.log.debug(`Energy not available for SerialNumber=${serial}: ${e?.message || e}`);
+			// retried after the interval; the values of the last read stay, flagged as stale
+			cache.set(`${serial}|${req.key}`, { at: Date.now(), dateTime, usage: null });
+		}
+	}
+
+	// Tables switched off in the config are deleted once per start
+	async function removeDisabledTables(th, reqs) {
+		if (cleaned.has(th.serial)) {
+			return;
+		}
+		cleaned.add(th.serial);
+		const enabled = new Set(reqs.flatMap(req => req.tables));
+		for (const view of Object.keys(ENERGY_VIEWS)) {
+			if (!enabled.has(view)) {
+				await adapter.safeDelObject(`${th.devId}.energy.${view}`, { recursive: true });
+			}
+		}
+	}
+
+	// Dated buckets of one cached request ([] if missing or failed)
+	function cachedRows(serial, { viewType, history }) {
+		const entry = cache.get(`${serial}|${viewType}|${history}`);
+		return entry?.usage ? datedUsage(entry.usage, { dateTime: entry.dateTime, history, viewType }) : [];
+	}
+
+	async function updateTotals(th) {
+		const monthly = TOTALS_REQUESTS.filter(r => r.viewType === ENERGY_VIEWS.year.viewType).flatMap(r =>
+			cachedRows(th.serial, r),
+		);
+		const daily = cachedRows(th.serial, TOTALS_REQUESTS[0]);
+		if (!daily.length && !monthly.length) {
+			return;
+		}
+		const totals = energyTotals({ daily, monthly, today: thermostatToday(th.tzSec) });
+		totalsByThermostat.set(th.devId, { accountId: th.accountId, group: th.group, totals });
+		await writeEnergyTotals(adapter, `${th.devId}.energy`, 'Energy', totals);
+	}
+
+	// Counts the finished days of a successful month read into the persistent meter
+	async function updateMeter(th) {
+		const daily = cachedRows(th.serial, METER_REQUEST);
+		const id = `${th.devId}.energy.meterTotal`;
+		const obj = daily.length ? await adapter.safeGetObject(id) : null;
+		if (!obj) {
+			return;
+		}
+		const meter = advanceMeter(obj.native?.meter, daily, thermostatToday(th.tzSec));
+		if (JSON.stringify(meter) !== JSON.stringify(obj.native?.meter)) {
+			await adapter.safeSetObject(id, { ...obj, native: { ...(obj.native || {}), meter } });
+		}
+		adapter.stateCache.set(th.devId, 'energy.meterTotal', meter.total);
+	}
+
+	// Backfill (first run) and the finished buckets of the due requests
+	async function storeHistory(acc, th, due) {
+		await energyHistory.backfill(acc, th);
+		for (const req of due.filter(r => r.store)) {
+			if (adapter.unloading) {
+				return;
+			}
+			await energyHistory.store(th, energyHistory.kindOf(req.viewType), cachedRows(th.serial, req));
+		}
+	}
+
+	// Sums of the thermostat totals per group and for the instance
+	async function writeAggregates() {
+		/** channel id -> { today, yesterday, … } */
+		const sums = new Map();
+		for (const { group, totals } of totalsByThermostat.values()) {
+			for (const id of [group, 'energy']) {
+				const sum = sums.get(id) || {};
+				for (const key of Object.keys(ENERGY_TOTALS)) {
+					sum[key] = (sum[key] || 0) + totals[key];
+				}
+				sums.set(id, sum);
+			}
+		}
+		for (const [id, sum] of sums) {
+			const rounded = Object.fromEntries(
+				Object.entries(sum).map(([key, v]) => [key, Math.round(v * 1000) / 1000]),
+			);
+			await writeEnergyTotals(
+				adapter,
+				id,
+				id === 'energy' ? 'Energy (all thermostats)' : 'Energy (group)',
+				rounded,
+			);
+		}
+	}
+
+	// Fetches the due requests of one account (missingOnly: never sent ones)
+	async function update(acc, { missingOnly = false } = {}) {
+		if (paused(acc)) {
+			adapter.log.debug(`${acc.tag}Energy: paused (no connection or fallback backoff active)`);
+			return;
+		}
+		const reqs = requests();
+		const thermostats = thermostatsOf(acc);
+		// thermostats gone from the account no longer count for the group / instance sums
+		let totalsChanged = false;
+		for (const [devId, entry] of totalsByThermostat) {
+			if (entry.accountId === acc.id && !thermostats.some(th => th.devId === devId)) {
+				totalsByThermostat.delete(devId);
+				totalsChanged = true;
+			}
+		}
+		for (const th of thermostats) {
+			await removeDisabledTables(th, reqs);
+
+			const due = reqs.filter(req =>
+				missingOnly ? !cache.has(`${th.serial}|${req.key}`) : isDue(th.serial, req),
+			);
+			for (const req of due) {
+				if (adapter.unloading || paused(acc)) {
+					return;
+				}
+				await fetchOne(acc, th, req);
+			}
+			if (due.length) {
+				const valid = reqs.every(req => cache.get(`${th.serial}|${req.key}`)?.usage);
+				adapter.stateCache.set(th.devId, 'energy.valid', valid);
+				if (due.some(req => req.meter)) {
+					await updateMeter(th);
+				}
+				if (due.some(req => req.store)) {
+					await storeHistory(acc, th, due);
+				}
+				if (due.some(req => req.totals)) {
+					await updateTotals(th);
+					totalsChanged = true;
+				}
+			}
+		}
+		if (totalsChanged) {
+			await writeAggregates();
+		}
+	}
+
+	function schedule() {
+		if (adapter.unloading) {
+			return;
+		}
+		timer = adapter.setTimeout(() => {
+			timer = null;
+			running = (async () => {
+				for (const acc of adapter.accounts) {
+					await update(acc);
+				}
+			})()
+				.catch(e => adapter.log.debug(`Energy update failed: ${e?.message || e}`))
+				.finally(() => {
+					running = null;
+					schedule();
+				});
+		}, intervalMs());
+	}
+
+	function start() {
+		stop();
+		schedule();
+	}
+
+	function stop() {
+		if (timer) {
+			adapter.clearTimeout(timer);
+			timer = null;
+		}
+	}
+
+	// In-flight update (onUnload waits for it)
+	function pending() {
+		return running;
+	}
+
+	return { update, start, stop, pending, cache };
+}
+
+module.exports = { createEnergyScheduler };
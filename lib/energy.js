@@ -0,0 +1,223 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { nowPlusMinutesThermostatLocalNoZ, formatThermostatLocalNoZFromUtcMs } = require('./time');
+
+// ============================================================================
+// GetEnergyUsage buckets with dates
+// - Request: DateTime = tomorrow in thermostat-local time (no Z), History =
+//   number of periods back, ViewType 2 = week, 3 = month (daily values),
+//   4 = year (monthly values)
+// - Response: Usage[0] is the most recent bucket
+//     week / month: day (DateTime - 1 day - History × period) - i
+//     year:         month (month of DateTime - 1 day) - i, of that year - History
+//     (DateTime - 1 day is today, so on the last day of a month / year the
+//     current month stays Usage[0])
+// - Dates are thermostat-local: YYYY-MM-DD for days, YYYY-MM for months
+// - Rolling totals from the dated buckets: today, yesterday and this week
+//   (since Monday) from the daily values of the month view, this month /
+//   this year / last year from the monthly values of the year view
+//   (History 0 and 1; the current year view reaches into last year)
+// - Meter (energy.meterTotal): ever-increasing sum of finished days (before
+//   today) of the month view; the kWh counted per day are kept, so a day seen
+//   again adds nothing and a later upward correction only adds the difference
+//   (downward corrections are ignored, the meter never decreases)
+// - History push: a bucket's timestamp is its start (local midnight of the
+//   day / of the 1st of the month) as UTC ms; only finished buckets are sent.
+//   The thermostat only reports its current offset (TimeZone), so the offset
+//   of each bucket's own date comes from an IANA zone (config.energyTimeZone,
+//   else the host's zone) whose current offset matches it; without a
+//   matching zone the current offset is used for every bucket
+// ============================================================================
+
+const ENERGY_VIEWS = {
+	week: { viewType: 2, days: 7, name: 'Energy per day, last 7 days' },
+	month: { viewType: 3, days: 30, name: 'Energy per day, last 30 days' },
+	year: { viewType: 4, months: 12, name: 'Energy per month, last 12 months' },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function pad(n) {
+	return String(n).padStart(2, '0');
+}
+
+// DateTime of a request (tomorrow, thermostat-local)
+function energyRequestTime(timeZoneSec) {
+	return nowPlusMinutesThermostatLocalNoZ(24 * 60, timeZoneSec);
+}
+
+// Date of bucket i ('' for unknown view types or a broken DateTime)
+function bucketDate(i, { dateTime, history = 0, viewType }) {
+	const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(dateTime || ''));
+	if (!m) {
+		return '';
+	}
+	// DateTime is tomorrow: the buckets are counted back from the day before
+	const ref = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) - DAY_MS);
+
+	if (viewType === ENERGY_VIEWS.year.viewType) {
+		const d = new Date(Date.UTC(ref.getUTCFullYear() - history, ref.getUTCMonth() - i, 1));
+		return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}`;
+	}
+	const view = Object.values(ENERGY_VIEWS).find(v => v.viewType === viewType && v.days);
+	if (!view) {
+		return '';
+	}
+	const d = new Date(ref.getTime() - (history * view.days + i) * DAY_MS);
+	return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+// Usage array -> [{ date, kWh }] (newest first, invalid values as null)
+function datedUsage(usage, request) {
+	return (Array.isArray(usage) ? usage : []).map((u, i) => {
+		const kWh = Number(u?.EnergyKWattHour);
+		return { date: bucketDate(i, request), kWh: Number.isFinite(kWh) ? kWh : null };
+	});
+}
+
+const ENERGY_TOTALS = {
+	today: 'Energy today',
+	yesterday: 'Energy yesterday',
+	thisWeek: 'Energy this week (since Monday)',
+	thisMonth: 'Energy this month',
+	thisYear: 'Energy this year',
+	lastYear: 'Energy last year',
+};
+
+// Requests the totals are computed from
+const TOTALS_REQUESTS = [
+	{ viewType: ENERGY_VIEWS.month.viewType, history: 0 },
+	{ viewType: ENERGY_VIEWS.year.viewType, history: 0 },
+	{ viewType: ENERGY_VIEWS.year.viewType, history: 1 },
+];
+
+function thermostatToday(timeZoneSec) {
+	return formatThermostatLocalNoZFromUtcMs(Date.now(), timeZoneSec).slice(0, 10);
+}
+
+function shiftDate(date, days) {
+	const d = new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS);
+	return d.toISOString().slice(0, 10);
+}
+
+function round(kWh) {
+	return Math.round(kWh * 1000) / 1000;
+}
+
+// daily: [{ date: YYYY-MM-DD, kWh }], monthly: [{ date: YYYY-MM, kWh }]
+// (duplicates allowed), today: thermostat-local YYYY-MM-DD
+function energyTotals({ daily, monthly, today }) {
+	const days = new Map(daily.filter(r => r.date && r.kWh !== null).map(r => [r.date, r.kWh]));
+	const months = new Map(monthly.filter(r => r.date && r.kWh !== null).map(r => [r.date, r.kWh]));
+	const sum = (map, pred) => round([...map].reduce((n, [date, kWh]) => (pred(date) ? n + kWh : n), 0));
+
+	const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7; // Monday = 0
+	const monday = shiftDate(today, -weekday);
+	const month = today.slice(0, 7);
+	const year = Number(today.slice(0, 4));
+
+	return {
+		today: round(days.get(today) ?? 0),
+		yesterday: round(days.get(shiftDate(today, -1)) ?? 0),
+		thisWeek: sum(days, date => date >= monday && date <= today),
+		thisMonth: months.has(month) ? round(months.get(month)) : sum(days, date => date.startsWith(month)),
+		thisYear: sum(months, date => date.startsWith(`${year}-`)),
+		lastYear: sum(months, date => date.startsWith(`${year - 1}-`)),
+	};
+}
+
+// Days older than this can no longer show up in the month view
+const METER_KEEP_DAYS = 40;
+
+// meter: { total, days: { YYYY-MM-DD: kWh counted } } (null: new meter)
+// daily: [{ date, kWh }], today: thermostat-local YYYY-MM-DD
+function advanceMeter(meter, daily, today) {
+	const days = { ...(meter?.days || {}) };
+	let total = Number(meter?.total) || 0;
+	for (const { date, kWh } of daily) {
+		if (!date || kWh === null || kWh < 0 || date >= today) {
+			continue;
+		}
+		const counted = days[date];
+		if (counted === undefined || kWh > counted) {
+			total += kWh - (counted ?? 0);
+			days[date] = kWh;
+		}
+	}
+	const oldest = shiftDate(today, -METER_KEEP_DAYS);
+	for (const date of Object.keys(days)) {
+		if (date < oldest) {
+			delete days[date];
+		}
+	}
+	return { total: round(total), days };
+}
+
+// UTC offset (sec) of an IANA zone at a UTC instant (NaN for unknown zones)
+function zoneOffsetSec(timeZone, utcMs) {
+	const ms = Math.floor(utcMs / 1000) * 1000;
+	try {
+		const parts = Object.fromEntries(
+			new Intl.DateTimeFormat('en-US', {
+				timeZone,
+				hourCycle: 'h23',
+				year: 'numeric',
+				month: '2-digit',
+				day: '2-digit',
+				hour: '2-digit',
+				minute: '2-digit',
+				second: '2-digit',
+			})
+				.formatToParts(new Date(ms))
+				.map(p => [p.type, Number(p.value)]),
+		);
+		const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+		return Math.round((local - ms) / 1000);
+	} catch {
+		return NaN;
+	}
+}
+
+// IANA zone for the bucket offsets of a thermostat ('' if none matches its current offset)
+function thermostatZone(timeZoneSec, configured = '') {
+	const zone = String(configured || '').trim() || Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+	return zone && zoneOffsetSec(zone, Date.now()) === Number(timeZoneSec) ? zone : '';
+}
+
+// Start of a day (YYYY-MM-DD) or month (YYYY-MM) bucket as UTC ms (NaN if broken);
+// timeZone: offset of the bucket's own date, else the fixed timeZoneSec
+function bucketTimestamp(date, timeZoneSec, timeZone = '') {
+	const day = /^\d{4}-\d{2}$/.test(date) ? `${date}-01` : date;
+	const local = Date.parse(`${day}T00:00:00Z`);
+	const fixed = local - (Number(timeZoneSec) || 0) * 1000;
+	if (!timeZone || !Number.isFinite(local)) {
+		return fixed;
+	}
+	// the offset at local midnight; a second pass settles dates next to a DST change
+	const first = zoneOffsetSec(timeZone, fixed);
+	const ts = local - first * 1000;
+	const second = zoneOffsetSec(timeZone, ts);
+	return Number.isFinite(second) ? local - second * 1000 : fixed;
+}
+
+// Day before today / month before the current one (today: YYYY-MM-DD)
+function isFinishedBucket(date, today) {
+	return !!date && date < today.slice(0, date.length);
+}
+
+module.exports = {
+	ENERGY_VIEWS,
+	ENERGY_TOTALS,
+	TOTALS_REQUESTS,
+	energyRequestTime,
+	thermostatToday,
+	bucketDate,
+	datedUsage,
+	energyTotals,
+	advanceMeter,
+	zoneOffsetSec,
+	thermostatZone,
+	bucketTimestamp,
+	isFinishedBucket,
+};
@@ -0,0 +1,172 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+// ============================================================================
+// Typed errors of the OJ cloud APIs
+// - Every failure of OJClient is an OJError with a category:
+//   auth      HTTP 401 / 403, body ErrorCodes of an invalid session or of
+//             refused credentials / API key
+//   transient network problems, timeouts, HTTP 429 / 5xx, unknown body
+//             ErrorCodes (retry later)
+//   permanent other HTTP errors, body ErrorCodes of a rejected request (e.g.
+//             unknown thermostat); the request will not succeed when repeated
+// - The OWD5/OCD5 APIs may answer HTTP 200 with a non-zero ErrorCode in the
+//   body. OJ Microline does not document these codes; the ones with a known
+//   meaning are mapped in BODY_ERROR_CODES, any other code counts as
+//   transient and requests with a session log in again once (the usual cause
+//   is an expired session). The code is kept in `errorCode`
+// - `sessionExpired` marks errors that are fixed by logging in again
+// ============================================================================
+
+const ERROR_CATEGORY = {
+	AUTH: 'auth',
+	TRANSIENT: 'transient',
+	PERMANENT: 'permanent',
+};
+
+// Body ErrorCodes with a known meaning
+const BODY_ERROR = {
+	INVALID_SESSION: 1,
+	INVALID_CREDENTIALS: 2,
+	UNKNOWN_THERMOSTAT: 3,
+	INVALID_API_KEY: 4,
+};
+
+/** ErrorCode -> category, whether a new login fixes it and a readable reason */
+const BODY_ERROR_CODES = {
+	[BODY_ERROR.INVALID_SESSION]: { category: ERROR_CATEGORY.AUTH, sessionExpired: true, reason: 'session invalid' },
+	[BODY_ERROR.INVALID_CREDENTIALS]: { category: ERROR_CATEGORY.AUTH, reason: 'username or password refused' },
+	[BODY_ERROR.UNKNOWN_THERMOSTAT]: { category: ERROR_CATEGORY.PERMANENT, reason: 'unknown thermostat' },
+	[BODY_ERROR.INVALID_API_KEY]: { category: ERROR_CATEGORY.AUTH, reason: 'API key refused' },
+};
+
+// Node / axios error codes of failed transports
+const NETWORK_ERROR_CODES = [
+	'ECONNREFUSED',
+	'ECONNRESET',
+	'ECONNABORTED',
+	'ETIMEDOUT',
+	'ENOTFOUND',
+	'EAI_AGAIN',
+	'EHOSTUNREACH',
+	'ENETUNREACH',
+	'EPIPE',
+	'ERR_NETWORK',
+	'ERR_SOCKET_CONNECTION_TIMEOUT',
+];
+
+class OJError extends Error {
+	/**
+	 * @param {string} message error text
+	 * @param {{category?: string, errorCode?: number|null, status?: number|null, sessionExpired?: boolean, cause?: unknown}} [opts] classification details
+	 */
+	constructor(message, { category = ERROR_CATEGORY.PERMANENT, errorCode = null, status = null, cause } = {}) {
+		super(message, cause ? { cause } : undefined);
+		this.name = 'OJError';
+		this.category = category;
+		/** ErrorCode from the response body (null if none) */
+		this.errorCode = errorCode;
+		/** HTTP status (null if no response) */
+		this.status = status;
+		this.sessionExpired = false;
+	}
+}
+
+class OJAuthError extends OJError {
+	/**
+	 * @param {string} message error text
+	 * @param {{category?: string, errorCode?: number|null, status?: number|null, sessionExpired?: boolean, cause?: unknown}} [opts] classification details
+	 */
+	constructor(message, { sessionExpired = false, ...opts } = {}) {
+		super(message, { ...opts, category: ERROR_CATEGORY.AUTH });
+		this.name = 'OJAuthError';
+		this.sessionExpired = sessionExpired;
+	}
+}
+
+class OJTransientError extends OJError {
+	/**
+	 * @param {string} message error text
+	 * @param {{category?: string, errorCode?: number|null, status?: number|null, sessionExpired?: boolean, cause?: unknown}} [opts] classification details
+	 */
+	constructor(message, opts = {}) {
+		super(message, { ...opts, category: ERROR_CATEGORY.TRANSIENT });
+		this.name = 'OJTransientError';
+	}
+}
+
+class OJPermanentError extends OJError {
+	/**
+	 * @param {string} message error text
+	 * @param {{category?: string, errorCode?: number|null, status?: number|null, sessionExpired?: boolean, cause?: unknown}} [opts] classification details
+	 */
+	constructor(message, opts = {}) {
+		super(message, { ...opts, category: ERROR_CATEGORY.PERMANENT });
+		this.name = 'OJPermanentError';
+	}
+}
+
+// Error for a response body with ErrorCode != 0 (null if the body is fine)
+function errorFromBody(data, label) {
+	const code = Number(data?.ErrorCode ?? 0);
+	if (!code) {
+		return null;
+	}
+	const known = BODY_ERROR_CODES[code];
+	const opts = { errorCode: code, status: 200 };
+	if (!known) {
+		return new OJTransientError(`${label} failed: ${JSON.stringify(data)}`, opts);
+	}
+	const message = `${label} failed (${known.reason}): ${JSON.stringify(data)}`;
+	if (known.category === ERROR_CATEGORY.AUTH) {
+		return new OJAuthError(message, { ...opts, sessionExpired: known.sessionExpired === true });
+	}
+	return new OJPermanentError(message, opts);
+}
+
+// Worth one new login before giving up: expired session or an unexplained body ErrorCode
+function needsRelogin(err) {
+	return (
+		err instanceof OJError && (err.sessionExpired || (err instanceof OJTransientError && err.errorCode !== null))
+	);
+}
+
+// Wraps a transport / HTTP error (axios) into the matching OJError
+function errorFromHttp(err, label) {
+	if (err instanceof OJError) {
+		return err;
+	}
+	const status = Number(err?.response?.status) || null;
+	const message = `${label} failed: ${err?.message || err}`;
+	if (status === 401 || status === 403) {
+		return new OJAuthError(message, { status, sessionExpired: true, cause: err });
+	}
+	if (status === 429 || (status !== null && status >= 500)) {
+		return new OJTransientError(message, { status, cause: err });
+	}
+	if (status === null && NETWORK_ERROR_CODES.includes(String(err?.code || ''))) {
+		return new OJTransientError(message, { cause: err });
+	}
+	return new OJPermanentError(message, { status, cause: err });
+}
+
+// Cloud not usable right now (network, server or authentication problem)
+function isCommError(err) {
+	if (err instanceof OJError) {
+		return err.category !== ERROR_CATEGORY.PERMANENT;
+	}
+	return NETWORK_ERROR_CODES.includes(String(err?.code || ''));
+}
+
+module.exports = {
+	ERROR_CATEGORY,
+	BODY_ERROR,
+	OJError,
+	OJAuthError,
+	OJTransientError,
+	OJPermanentError,
+	errorFromBody,
+	errorFromHttp,
+	needsRelogin,
+	isCommError,
+};
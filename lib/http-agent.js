@@ -0,0 +1,126 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const tls = require('node:tls');
+
+// ============================================================================
+// HTTP agents for OJClient (proxy / custom CA / insecure TLS)
+// - Proxy: every connection is tunneled with HTTP CONNECT through the proxy
+//   (http:// or https:// proxy URL, optional user:password for Basic auth),
+//   so TLS to the cloud stays end-to-end
+// - Custom CA: PEM text or path to a PEM file, added to Node's root CAs
+//   (for TLS-inspecting firewalls)
+// - Insecure: certificate verification off, explicit opt-in only
+// ============================================================================
+
+// PEM text as is, anything else is read as file path
+function loadCa(value) {
+	const v = String(value || '').trim();
+	if (!v) {
+		return '';
+	}
+	if (v.includes('-----BEGIN')) {
+		return v;
+	}
+	return fs.readFileSync(v, 'utf8');
+}
+
+function connectThroughProxy(proxy, tlsOptions, target, callback) {
+	const auth = proxy.username
+		? `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}`
+		: '';
+	const isHttpsProxy = proxy.protocol === 'https:';
+	const hostPort = `${target.host}:${target.port}`;
+
+	const req = (isHttpsProxy ? https : http).request({
+		host: proxy.hostname,
+		port: Number(proxy.port) || (isHttpsProxy ? 443 : 80),
+		method: 'CONNECT',
+		path: hostPort,
+		headers: { host: hostPort, ...(auth ? { 'Proxy-Authorization': auth } : {}) },
+		agent: false,
+		...(isHttpsProxy ? tlsOptions : {}),
+	});
+	req.once('connect', (res, socket) => {
+		if (res.statusCode !== 200) {
+			socket.destroy();
+			callback(new Error(`Proxy CONNECT ${hostPort} failed: HTTP ${res.statusCode}`));
+			return;
+		}
+		callback(null, socket);
+	});
+	req.once('error', err => callback(err));
+	req.end();
+}
+
+class ProxyHttpAgent extends http.Agent {
+	constructor(proxy, opts) {
+		super(opts);
+		this.proxy = proxy;
+	}
+
+	// socket is handed over via callback once the tunnel is up
+	createConnection(options, callback) {
+		connectThroughProxy(this.proxy, {}, options, callback);
+		return undefined;
+	}
+}
+
+class ProxyHttpsAgent extends https.Agent {
+	constructor(proxy, tlsOptions, opts) {
+		super({ ...opts, ...tlsOptions });
+		this.proxy = proxy;
+		this.tlsOptions = tlsOptions;
+	}
+
+	createConnection(options, callback) {
+		connectThroughProxy(this.proxy, this.tlsOptions, options, (err, socket) => {
+			if (err) {
+				callback(err);
+				return;
+			}
+			callback(
+				null,
+				tls.connect({ ...options, path: undefined, socket, servername: options.servername || options.host }),
+			);
+		});
+		return undefined;
+	}
+}
+
+// { httpAgent, httpsAgent, tunneled } for the given settings (agents undefined if not needed)
+function createHttpAgents({ proxyUrl = '', ca = '', insecure = false } = {}) {
+	const tlsOptions = {};
+	if (ca) {
+		tlsOptions.ca = [...tls.rootCertificates, ca];
+	}
+	if (insecure) {
+		tlsOptions.rejectUnauthorized = false;
+	}
+
+	const url = String(proxyUrl || '').trim();
+	if (url) {
+		const proxy = new URL(url);
+		if (proxy.protocol !== 'http:' && proxy.protocol !== 'https:') {
+			throw new Error(`Unsupported proxy protocol ${proxy.protocol} (use http:// or https://)`);
+		}
+		return {
+			httpAgent: new ProxyHttpAgent(proxy, { keepAlive: true }),
+			httpsAgent: new ProxyHttpsAgent(proxy, tlsOptions, { keepAlive: true }),
+			tunneled: true,
+		};
+	}
+	if (Object.keys(tlsOptions).length) {
+		return {
+			httpAgent: undefined,
+			httpsAgent: new https.Agent({ keepAlive: true, ...tlsOptions }),
+			tunneled: false,
+		};
+	}
+	return { httpAgent: undefined, httpsAgent: undefined, tunneled: false };
+}
+
+module.exports = { loadCa, createHttpAgents };
@@ -0,0 +1,93 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { parseEditableSchedule, scheduleToEditable, scheduleToDocument, scheduleToIcs } = require('./schedule');
+const { cloneThermostatSettings } = require('./clone');
+const { testCloudConnection } = require('./connection-test');
+
+// ============================================================================
+// sendTo commands (everything that is not a Device Manager "dm:" message)
+//
+// Thermostats are given by thermostatId or serial; accountId (and groupId) select
+// one of several thermostats with the same ThermostatId in different accounts
+//
+// exportSchedule  { [accountId], thermostatId | serial, format?: 'json' | 'ics' }
+//                 -> { result: <schedule document> | <iCalendar text> }
+// importSchedule  { [accountId], thermostatId | serial, schedule: <document | JSON string> }
+//                 -> { result: 'ok' } | { error }
+// cloneSettings   { [accountId], thermostatId | serial, targets: [serial | { [accountId], thermostatId | serial }] }
+//                 -> { result: { source, results: [{ serial, name, success, error }] } }
+// testConnection  { username, password, apiKey, customerId, ... (unsaved admin form) }
+//                 -> { result: <text>, groups } | { error: <reason> }
+// discoverThermostats  same as testConnection, result text lists the thermostats
+// ============================================================================
+
+function createMessageRouter(adapter) {
+	const handlers = {
+		exportSchedule: async msg => {
+			const th = adapter.findThermostat(msg);
+			const schedule = adapter.thermostatData[th.devPrefix]?.Schedule;
+			if (!Array.isArray(schedule?.Days)) {
+				throw new Error(`No schedule known for thermostat ${th.thermostatId} yet`);
+			}
+
+			const meta = { thermostatName: th.name, serialNumber: th.serial };
+			if (String(msg?.format || 'json').toLowerCase() === 'ics') {
+				return { result: scheduleToIcs(schedule, meta) };
+			}
+			return { result: { ...scheduleToDocument(schedule, meta), exportedAt: new Date().toISOString() } };
+		},
+
+		importSchedule: async msg => {
+			const th = adapter.findThermostat(msg);
+			const current = adapter.thermostatData[th.devPrefix]?.Schedule;
+			const schedule = parseEditableSchedule(msg?.schedule ?? '', { current });
+
+			// Goes through the regular apply path (same guards as the apply button)
+			await adapter.setStateAsync(`${th.devPrefix}.apply.scheduleEdit.json`, {
+				val: JSON.stringify(scheduleToEditable(schedule)),
+				ack: true,
+			});
+			const res = await adapter.executeApply({
+				accountId: th.accountId,
+				groupId: th.groupId,
+				thermostatId: th.thermostatId,
+				modeFolder: 'scheduleEdit',
+				id: `${th.devPrefix}.apply.scheduleEdit.apply`,
+			});
+			if (res.result !== 'success') {
+				throw new Error(res.error || `Import ${res.result}`);
+			}
+			return { result: 'ok' };
+		},
+
+		cloneSettings: async msg => ({ result: await cloneThermostatSettings(adapter, msg, msg?.targets) }),
+
+		testConnection: msg => testCloudConnection(adapter, msg),
+
+		discoverThermostats: msg => testCloudConnection(adapter, msg, { discover: true }),
+	};
+
+	return async obj => {
+		const fn = handlers[obj.command];
+		let response;
+		if (!fn) {
+			adapter.log.warn(`onMessage(): unknown command "${obj.command}"`);
+			response = { error: `Unknown command "${obj.command}"` };
+		} else {
+			try {
+				const message = typeof obj.message === 'string' ? JSON.parse(obj.message) : obj.message;
+				response = await fn(message);
+			} catch (e) {
+				adapter.log.warn(`${obj.command} failed: ${e?.message || e}`);
+				response = { error: String(e?.message || e) };
+			}
+		}
+
+		if (obj.callback) {
+			adapter.sendTo(obj.from, obj.command, response, obj.callback);
+		}
+	};
+}
+
+module.exports = { createMessageRouter };
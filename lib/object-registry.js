@@ -0,0 +1,63 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+// ============================================================================
+// In-memory registry of ensured object structures
+// - Object definitions (device, channels, states, schedule / energy layout)
+//   are created or migrated once per adapter start instead of on every poll
+// - Every structure is registered under an object id with a layout key
+//   (e.g. thermostat name, events per schedule day, energy value count); a
+//   different key runs the ensure function again
+// - safeDelObject drops the entries at and below the deleted id
+// ============================================================================
+
+function createObjectRegistry() {
+	/** object id -> layout key of the last successful ensure */
+	const layouts = new Map();
+	/** object id -> ensure in progress (parallel polls / refreshes share it) */
+	const running = new Map();
+
+	// Runs `ensure` unless `id` was already ensured with the same layout
+	async function once(id, layout, ensure) {
+		const key = String(layout);
+		if (layouts.get(id) === key) {
+			return;
+		}
+		const pending = running.get(id);
+		if (pending) {
+			await pending;
+			if (layouts.get(id) === key) {
+				return;
+			}
+		}
+
+		const work = (async () => {
+			await ensure();
+			layouts.set(id, key);
+		})();
+		running.set(id, work);
+		try {
+			await work;
+		} finally {
+			if (running.get(id) === work) {
+				running.delete(id);
+			}
+		}
+	}
+
+	function forget(id) {
+		for (const key of layouts.keys()) {
+			if (key === id || key.startsWith(`${id}.`)) {
+				layouts.delete(key);
+			}
+		}
+	}
+
+	function size() {
+		return layouts.size;
+	}
+
+	return { once, forget, size };
+}
+
+module.exports = { createObjectRegistry };
@@ -2,6 +2,14 @@
 'use strict';
 
 const { safeId } = require('./util');
+const { ACTIVE_SOURCES } = require('./status');
+const { ENERGY_TOTALS } = require('./energy');
+
+// Object definitions of groups, accounts and thermostats.
+// Thermostat, apply, schedule and energy structures are ensured once per
+// adapter start and layout (adapter.objectRegistry, lib/object-registry.js).
+
+const APPLY_FOLDERS = ['schedule', 'scheduleEdit', 'comfort', 'manual', 'boost', 'eco', 'name', 'vacation'];
 
 // Create or migrate a container object (folder / channel / device).
 // If the object already exists with a different type or name it is corrected
@@ -21,24 +29,76 @@ async function ensureContainer(adapter, id, type, name, native = {}) {
 	}
 }
 
-async function ensureGroupObjects(adapter, group) {
+// prefix: account prefix ('' or 'accounts.<id>.')
+async function ensureGroupObjects(adapter, group, prefix = '') {
 	const groupId = String(group?.GroupId ?? '');
 	if (!groupId) {
 		return;
 	}
 
 	const groupName = String(group?.GroupName || `Group ${groupId}`);
-	adapter.groupNameCache[groupId] = groupName;
+	const groupDev = `${prefix}groups.${safeId(groupId)}`;
+	adapter.groupNameCache[groupDev] = groupName;
+
+	await adapter.objectRegistry.once(groupDev, groupName, async () => {
+		// folder (was device) – only one device per tree allowed
+		await ensureContainer(adapter, groupDev, 'folder', groupName, { groupId });
+		// folder (was channel) – channels may not contain devices
+		await ensureContainer(adapter, `${groupDev}.thermostats`, 'folder', 'Thermostats');
+	});
+}
+
+// Folder and info states of an additional account (the primary account uses
+// groups.* and the instance objects of io-package.json)
+async function ensureAccountObjects(adapter, account) {
+	if (!account.id) {
+		return;
+	}
+	const base = `accounts.${account.id}`;
+	const ensureState = async (id, common) => {
+		await adapter.safeSetObjectNotExists(id, { type: 'state', common, native: {} });
+	};
 
-	const groupDev = `groups.${safeId(groupId)}`;
+	await ensureContainer(adapter, 'accounts', 'folder', 'Accounts');
+	await ensureContainer(adapter, base, 'folder', account.name, { accountId: account.id });
+	await ensureContainer(adapter, `${base}.info`, 'channel', 'Information');
+	await ensureContainer(adapter, `${base}.groups`, 'folder', 'Groups');
 
-	// folder (was device) – only one device per tree allowed
-	await ensureContainer(adapter, groupDev, 'folder', groupName, { groupId });
-	// folder (was channel) – channels may not contain devices
-	await ensureContainer(adapter, `${groupDev}.thermostats`, 'folder', 'Thermostats');
+	await ensureState(`${base}.info.connection`, {
+		name: 'Account connected',
+		type: 'boolean',
+		role: 'indicator.connected',
+		read: true,
+		write: false,
+		def: false,
+	});
+	await ensureState(`${base}.info.loginState`, {
+		name: 'Cloud login state',
+		type: 'string',
+		role: 'text',
+		read: true,
+		write: false,
+		def: '',
+		states: { loggingIn: 'logging in', loggedIn: 'logged in', retrying: 'retrying', rejected: 'rejected' },
+	});
+	await ensureState(`${base}.info.lastLoginError`, {
+		name: 'Last login error',
+		type: 'string',
+		role: 'text',
+		read: true,
+		write: false,
+		def: '',
+	});
 }
 
+// Again only after a restart or when name / native data change
 async function ensureThermostatObjects(adapter, devId, native, thermostatName) {
+	await adapter.objectRegistry.once(devId, JSON.stringify([thermostatName, native]), () =>
+		createThermostatObjects(adapter, devId, native, thermostatName),
+	);
+}
+
+async function createThermostatObjects(adapter, devId, native, thermostatName) {
 	// Thermostat is the single device in the hierarchy
 	const cur = await adapter.safeGetObject(devId);
 	const icon = 'admin/schlueter-thermostat.png';
@@ -212,6 +272,40 @@ async function ensureThermostatObjects(adapter, devId, native, thermostatName) {
 		write: false,
 	});
 
+	// status channel (computed from mode, end times and schedule)
+	await ensureContainer(adapter, `${devId}.status`, 'channel', 'Status');
+	await ensureState(`${devId}.status.activeSource`, {
+		name: 'Active source of the target temperature',
+		type: 'string',
+		role: 'text',
+		read: true,
+		write: false,
+		states: Object.fromEntries(ACTIVE_SOURCES.map(s => [s, s])),
+	});
+	await ensureState(`${devId}.status.effectiveSetpoint`, {
+		name: 'Effective target temperature',
+		type: 'number',
+		role: 'value.temperature',
+		unit: '°C',
+		read: true,
+		write: false,
+	});
+	await ensureState(`${devId}.status.nextSwitchTime`, {
+		name: 'Next change of the target temperature',
+		type: 'string',
+		role: 'date',
+		read: true,
+		write: false,
+	});
+	await ensureState(`${devId}.status.nextSetpoint`, {
+		name: 'Target temperature after the next change',
+		type: 'number',
+		role: 'value.temperature',
+		unit: '°C',
+		read: true,
+		write: false,
+	});
+
 	// schedule & energy channels
 	await adapter.safeSetObjectNotExists(`${devId}.schedule`, {
 		type: 'channel',
@@ -223,9 +317,30 @@ async function ensureThermostatObjects(adapter, devId, native, thermostatName) {
 		common: { name: 'Energy' },
 		native: {},
 	});
+	await ensureState(`${devId}.energy.valid`, {
+		name: 'Energy values are current (false: last read failed)',
+		type: 'boolean',
+		role: 'indicator',
+		read: true,
+		write: false,
+		def: false,
+	});
+	// counted days of the meter are kept in native.meter (lib/energy.js advanceMeter)
+	await ensureState(`${devId}.energy.meterTotal`, {
+		name: 'Energy meter (finished days, never decreases)',
+		type: 'number',
+		role: 'value.energy.consumed',
+		unit: 'kWh',
+		read: true,
+		write: false,
+	});
 }
 
 async function ensureApplyObjects(adapter, devId) {
+	await adapter.objectRegistry.once(`${devId}.apply`, APPLY_FOLDERS.join(), () => createApplyObjects(adapter, devId));
+}
+
+async function createApplyObjects(adapter, devId) {
 	const ensureState = async (id, common) => {
 		await adapter.safeSetObjectNotExists(id, { type: 'state', common, native: {} });
 	};
@@ -243,6 +358,24 @@ async function ensureApplyObjects(adapter, devId) {
 		def: false,
 	});
 
+	// schedule editing (full weekly program as JSON, temperatures in °C)
+	await ensureContainer(adapter, `${devId}.apply.scheduleEdit`, 'folder', 'Schedule editing');
+	await ensureState(`${devId}.apply.scheduleEdit.json`, {
+		name: 'Weekly schedule (JSON, °C) - follows the cloud until edited, clear to reload',
+		type: 'string',
+		role: 'json',
+		read: true,
+		write: true,
+	});
+	await ensureState(`${devId}.apply.scheduleEdit.apply`, {
+		name: 'Send weekly schedule to thermostat',
+		type: 'boolean',
+		role: 'button',
+		read: false,
+		write: true,
+		def: false,
+	});
+
 	// comfort
 	await ensureContainer(adapter, `${devId}.apply.comfort`, 'folder', 'Comfort mode');
 	await ensureState(`${devId}.apply.comfort.setpoint`, {
@@ -387,11 +520,245 @@ async function ensureApplyObjects(adapter, devId) {
 		write: true,
 		def: false,
 	});
+
+	// outcome of the last apply per folder
+	for (const folder of APPLY_FOLDERS) {
+		await ensureState(`${devId}.apply.${folder}.lastResult`, {
+			name: 'Result of the last apply',
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: false,
+			states: {
+				success: 'success',
+				blocked: 'blocked',
+				queued: 'queued',
+				superseded: 'superseded',
+				error: 'error',
+			},
+		});
+		await ensureState(`${devId}.apply.${folder}.lastError`, {
+			name: 'Error of the last apply',
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: false,
+		});
+		await ensureState(`${devId}.apply.${folder}.lastAppliedAt`, {
+			name: 'Time of the last apply',
+			type: 'number',
+			role: 'date',
+			read: true,
+			write: false,
+		});
+		await ensureState(`${devId}.apply.${folder}.lastPayload`, {
+			name: 'Last UpdateThermostat payload sent',
+			type: 'string',
+			role: 'json',
+			read: true,
+			write: false,
+		});
+		// read-back result (see lib/verify.js)
+		await ensureState(`${devId}.apply.${folder}.confirmation`, {
+			name: 'Thermostat confirmed the last apply',
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: false,
+			states: { pending: 'pending', confirmed: 'confirmed', failed: 'failed' },
+		});
+	}
+}
+
+// Deletes objects below devId whose relative id matches `pattern` but is not
+// in `keep` (left over from a longer schedule / energy view)
+async function removeOrphans(adapter, devId, sub, pattern, keep) {
+	const base = `${adapter.namespace}.${devId}.`;
+	const objs = (await adapter.getForeignObjectsAsync(`${base}${sub}.*`)) || {};
+	const orphans = Object.keys(objs)
+		.map(id => id.slice(base.length))
+		.filter(rel => pattern.test(rel) && !keep.has(rel))
+		.sort();
+	for (const rel of orphans) {
+		// recursive: an orphaned day takes its events along
+		await adapter.safeDelObject(`${devId}.${rel}`, { recursive: true });
+	}
+	if (orphans.length) {
+		adapter.log.debug(`${devId}: removed ${orphans.length} orphaned object(s) below ${sub}`);
+	}
+}
+
+// Again only when the number of days / events per day changes; days and
+// events no longer in the schedule are deleted
+async function ensureScheduleObjects(adapter, devId, schedule) {
+	const days = (Array.isArray(schedule?.Days) ? schedule.Days : [])
+		.map(day => ({
+			wd: String(day?.WeekDayGrpNo ?? ''),
+			events: Array.isArray(day?.Events) ? day.Events.length : 0,
+		}))
+		.filter(day => day.wd);
+	const layout = days.map(day => `${day.wd}:${day.events}`).join();
+
+	await adapter.objectRegistry.once(`${devId}.schedule`, layout, async () => {
+		const ensureState = async (id, common) => {
+			await adapter.safeSetObjectNotExists(id, { type: 'state', common, native: {} });
+		};
+
+		await ensureState(`${devId}.schedule.json`, {
+			name: 'Weekly schedule export (JSON)',
+			type: 'string',
+			role: 'json',
+			read: true,
+			write: false,
+		});
+
+		for (const { wd, events } of days) {
+			const dayCh = `${devId}.schedule.day${wd}`;
+			await ensureContainer(adapter, dayCh, 'folder', `Day ${wd}`);
+
+			for (let i = 0; i < events; i++) {
+				const evCh = `${dayCh}.event${i}`;
+				await ensureContainer(adapter, evCh, 'folder', `Event ${i}`);
+				await ensureState(`${evCh}.type`, {
+					name: 'ScheduleType',
+					type: 'number',
+					role: 'value',
+					read: true,
+					write: false,
+				});
+				await ensureState(`${evCh}.time`, {
+					name: 'Clock',
+					type: 'string',
+					role: 'text',
+					read: true,
+					write: false,
+				});
+				await ensureState(`${evCh}.temperature`, {
+					name: 'Temperature',
+					type: 'number',
+					role: 'value.temperature',
+					unit: '°C',
+					read: true,
+					write: false,
+				});
+				await ensureState(`${evCh}.active`, {
+					name: 'Active',
+					type: 'boolean',
+					role: 'indicator',
+					read: true,
+					write: false,
+				});
+				await ensureState(`${evCh}.nextDay`, {
+					name: 'EventIsOnNextDay',
+					type: 'boolean',
+					role: 'indicator',
+					read: true,
+					write: false,
+				});
+			}
+		}
+
+		const keep = new Set();
+		for (const { wd, events } of days) {
+			keep.add(`schedule.day${wd}`);
+			for (let i = 0; i < events; i++) {
+				keep.add(`schedule.day${wd}.event${i}`);
+			}
+		}
+		await removeOrphans(adapter, devId, 'schedule', /^schedule\.day[^.]+(?:\.event\d+)?$/, keep);
+	});
+}
+
+// Again only when the number of values changes; values beyond it are deleted
+async function ensureEnergyObjects(adapter, devId, count) {
+	await adapter.objectRegistry.once(`${devId}.energy`, count, async () => {
+		const ensureState = async (id, common) => {
+			await adapter.safeSetObjectNotExists(id, { type: 'state', common, native: {} });
+		};
+
+		await ensureState(`${devId}.energy.count`, {
+			name: 'Values count',
+			type: 'number',
+			role: 'value',
+			read: true,
+			write: false,
+		});
+		for (let i = 0; i < count; i++) {
+			await ensureState(`${devId}.energy.value${i}`, {
+				name: `Energy Day ${i}`,
+				type: 'number',
+				role: 'value.energy',
+				unit: 'kWh',
+				read: true,
+				write: false,
+			});
+		}
+
+		const keep = new Set(Array.from({ length: count }, (_, i) => `energy.value${i}`));
+		await removeOrphans(adapter, devId, 'energy', /^energy\.value\d+$/, keep);
+	});
+}
+
+// Folder energy.<view> with the dated JSON table (week / month / year)
+async function ensureEnergyTableObjects(adapter, devId, view, name) {
+	await adapter.objectRegistry.once(`${devId}.energy.${view}`, name, async () => {
+		await ensureContainer(adapter, `${devId}.energy.${view}`, 'folder', name);
+		await adapter.safeSetObjectNotExists(`${devId}.energy.${view}.json`, {
+			type: 'state',
+			common: {
+				name: `${name} (JSON: [{date, kWh}], newest first)`,
+				type: 'string',
+				role: 'json',
+				read: true,
+				write: false,
+			},
+			native: {},
+		});
+	});
+}
+
+// Rolling totals (today … lastYear) in a thermostat's, group's or the
+// instance's energy channel
+async function ensureEnergyTotalsObjects(adapter, channelId, channelName) {
+	await adapter.objectRegistry.once(`${channelId}.totals`, channelName, async () => {
+		await ensureContainer(adapter, channelId, 'channel', channelName);
+		for (const [key, name] of Object.entries(ENERGY_TOTALS)) {
+			await adapter.safeSetObjectNotExists(`${channelId}.${key}`, {
+				type: 'state',
+				common: { name, type: 'number', role: 'value.energy', unit: 'kWh', read: true, write: false },
+				native: {},
+			});
+		}
+	});
+}
+
+// energy.daily / energy.monthly: only written through the history instance
+// (storeState with bucket timestamps); what was sent is kept in native.history
+async function ensureEnergyHistoryObjects(adapter, devId) {
+	await adapter.objectRegistry.once(`${devId}.energy.history`, 'daily,monthly', async () => {
+		for (const [sub, name] of [
+			['daily', 'Energy per day (history only, bucket time)'],
+			['monthly', 'Energy per month (history only, bucket time)'],
+		]) {
+			await adapter.safeSetObjectNotExists(`${devId}.energy.${sub}`, {
+				type: 'state',
+				common: { name, type: 'number', role: 'value.energy', unit: 'kWh', read: true, write: false },
+				native: {},
+			});
+		}
+	});
 }
 
 module.exports = {
+	APPLY_FOLDERS,
 	ensureContainer,
 	ensureGroupObjects,
+	ensureAccountObjects,
 	ensureThermostatObjects,
 	ensureApplyObjects,
+	ensureScheduleObjects,
+	ensureEnergyObjects,
+	ensureEnergyTableObjects,
+	ensureEnergyTotalsObjects,
+	ensureEnergyHistoryObjects,
 };
@@ -0,0 +1,183 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { ensureContainer } = require('./objects');
+const { thermostatDevId } = require('./accounts');
+const { readApplyInputs } = require('./apply-handlers');
+
+// ============================================================================
+// Offline queue (optional, config.offlineQueue)
+// - Apply commands blocked because the cloud or the thermostat is offline are
+//   kept as <thermostat>.pending.<mode> (folder, entry data in native) and are
+//   therefore persistent across restarts
+// - One entry per thermostat and apply mode; pressing apply again renews it
+// - The apply.<mode>.* input values at the time of queuing are stored in the
+//   entry (values) and sent via executeApply when a poll sees the thermostat
+//   online again; later edits of the inputs do not change it (durations start
+//   when sent)
+// - Entries expire after config.offlineQueueTtlMin, expired ones are dropped at
+//   adapter start too; pending.<mode>.cancel drops one
+// - Entries remember their cloud account and are sent after a poll of that account
+// ============================================================================
+
+const DEFAULT_TTL_MIN = 60;
+
+function createOfflineQueue(adapter) {
+	const entries = new Map(); // `${devPrefix}.pending.${modeFolder}` -> entry
+
+	const ttlMs = () => {
+		const min = Number(adapter.config.offlineQueueTtlMin);
+		return (Number.isFinite(min) && min > 0 ? min : DEFAULT_TTL_MIN) * 60 * 1000;
+	};
+
+	const devPrefixOf = entry => thermostatDevId(entry.accountId || '', entry.groupId, entry.thermostatId);
+
+	const remove = async (key, why) => {
+		const entry = entries.get(key);
+		entries.delete(key);
+		await adapter.safeDelObject(key, { recursive: true });
+		if (entry && why) {
+			adapter.log.info(`Queued ${entry.modeFolder} for thermostat ${entry.thermostatId} ${why}`);
+		}
+	};
+
+	const queue = {
+		get enabled() {
+			return adapter.config.offlineQueue === true;
+		},
+
+		async add({ accountId = '', groupId, thermostatId, modeFolder }, reason) {
+			const now = Date.now();
+			const devPrefix = thermostatDevId(accountId, String(groupId), String(thermostatId));
+			const entry = {
+				accountId,
+				groupId: String(groupId),
+				thermostatId: String(thermostatId),
+				modeFolder,
+				values: await readApplyInputs(adapter, devPrefix, modeFolder),
+				reason,
+				queuedAt: now,
+				expiresAt: now + ttlMs(),
+			};
+			const key = `${devPrefix}.pending.${modeFolder}`;
+			const ensureState = async (id, common) => {
+				await adapter.safeSetObjectNotExists(id, { type: 'state', common, native: {} });
+			};
+
+			await ensureContainer(adapter, `${devPrefix}.pending`, 'channel', 'Pending commands');
+			await adapter.safeSetObject(key, {
+				type: 'folder',
+				common: { name: `Pending ${modeFolder}` },
+				native: entry,
+			});
+			await ensureState(`${key}.queuedAt`, {
+				name: 'Queued at',
+				type: 'number',
+				role: 'date',
+				read: true,
+				write: false,
+			});
+			await ensureState(`${key}.expiresAt`, {
+				name: 'Expires at',
+				type: 'number',
+				role: 'date',
+				read: true,
+				write: false,
+			});
+			await ensureState(`${key}.reason`, {
+				name: 'Why the command is waiting',
+				type: 'string',
+				role: 'text',
+				read: true,
+				write: false,
+			});
+			await ensureState(`${key}.cancel`, {
+				name: 'Cancel this command',
+				type: 'boolean',
+				role: 'button',
+				read: false,
+				write: true,
+				def: false,
+			});
+			adapter.safeSetState(`${key}.queuedAt`, { val: entry.queuedAt, ack: true });
+			adapter.safeSetState(`${key}.expiresAt`, { val: entry.expiresAt, ack: true });
+			adapter.safeSetState(`${key}.reason`, { val: reason, ack: true });
+
+			entries.set(key, entry);
+			adapter.log.info(
+				`Apply ${modeFolder} for thermostat ${entry.thermostatId} queued (${reason}), expires ${new Date(entry.expiresAt).toISOString()}`,
+			);
+		},
+
+		// Rebuild the in-memory view from the objects of the previous run, drop expired entries
+		async restore() {
+			const objs = {
+				...(await adapter.getForeignObjectsAsync(`${adapter.namespace}.groups.*.thermostats.*.pending.*`)),
+				...(await adapter.getForeignObjectsAsync(
+					`${adapter.namespace}.accounts.*.groups.*.thermostats.*.pending.*`,
+				)),
+			};
+			for (const [id, obj] of Object.entries(objs)) {
+				const entry = obj?.type === 'folder' ? obj.native : null;
+				if (!entry?.modeFolder || !entry.thermostatId) {
+					continue;
+				}
+				const key = id.slice(adapter.namespace.length + 1);
+				entries.set(key, { ...entry });
+				if (entry.expiresAt <= Date.now()) {
+					await remove(key, 'expired');
+				}
+			}
+			if (entries.size) {
+				adapter.log.info(`Offline queue: ${entries.size} pending command(s) restored`);
+			}
+		},
+
+		// Called after each successful poll of an account: drop expired entries,
+		// send the others once their thermostat is online
+		async flush(accountId = '') {
+			for (const [key, entry] of [...entries]) {
+				if (adapter.unloading) {
+					return;
+				}
+				if ((entry.accountId || '') !== accountId) {
+					continue;
+				}
+				if (entry.expiresAt <= Date.now()) {
+					await remove(key, 'expired');
+					continue;
+				}
+				if (adapter.lastOnline[devPrefixOf(entry)] !== true) {
+					continue;
+				}
+
+				const res = await adapter.executeApply({
+					accountId: entry.accountId || '',
+					groupId: entry.groupId,
+					thermostatId: entry.thermostatId,
+					modeFolder: entry.modeFolder,
+					id: `${devPrefixOf(entry)}.apply.${entry.modeFolder}.apply`,
+					values: entry.values,
+					fromQueue: true,
+				});
+				if (res.result !== 'blocked') {
+					await remove(key, `sent from offline queue: ${res.result}`);
+				}
+			}
+		},
+
+		async cancel(key) {
+			if (entries.has(key)) {
+				await remove(key, 'cancelled');
+			}
+		},
+
+		size() {
+			return entries.size;
+		},
+	};
+
+	return queue;
+}
+
+module.exports = { createOfflineQueue };
@@ -0,0 +1,323 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { numToC, cToNum } = require('./util');
+
+// ============================================================================
+// Weekly schedule helpers
+// - Cloud format: Schedule.Days[].Events[] with Temperature in hundredths °C
+// - Editable format: same structure, Temperature in °C, so the JSON can be
+//   edited by hand and sent back as a full Schedule payload
+// - WeekDayGrpNo: 0 = Sunday … 6 = Saturday
+// - Portable export: editable format wrapped with format/version metadata,
+//   or an iCalendar with one weekly recurring VEVENT per switching time
+// - Evaluation: running temperature and next change at a thermostat-local time
+// ============================================================================
+
+const SCHEDULE_TEMP_MIN = 5;
+const SCHEDULE_TEMP_MAX = 35;
+const MAX_EVENTS_PER_DAY = 10;
+
+const SCHEDULE_DOC_FORMAT = 'schlueter-thermostat-schedule';
+const SCHEDULE_DOC_VERSION = 1;
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Sunday of the reference week used as DTSTART for recurring events
+const ICS_REFERENCE_SUNDAY_MS = Date.UTC(2024, 0, 7);
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+function parseClockMinutes(clock) {
+	const m = String(clock ?? '')
+		.trim()
+		.match(/(?:^|T)(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+	if (!m) {
+		return NaN;
+	}
+	const h = Number(m[1]);
+	const min = Number(m[2]);
+	if (h > 23 || min > 59) {
+		return NaN;
+	}
+	return h * 60 + min;
+}
+
+// Format minutes like the template clock (keeps a date prefix such as "1900-01-01T")
+function formatClock(minutes, template) {
+	const pad = n => String(n).padStart(2, '0');
+	const hhmmss = `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`;
+	const prefix = String(template ?? '').match(/^(.*T)\d{1,2}:\d{2}/);
+	return prefix ? `${prefix[1]}${hhmmss}` : hhmmss;
+}
+
+function scheduleToEditable(schedule) {
+	const days = Array.isArray(schedule?.Days) ? schedule.Days : [];
+	return {
+		Days: days.map(day => ({
+			WeekDayGrpNo: Number(day.WeekDayGrpNo),
+			Events: (Array.isArray(day.Events) ? day.Events : []).map(ev => ({
+				ScheduleType: Number(ev.ScheduleType ?? 0),
+				Clock: String(ev.Clock ?? ''),
+				Temperature: numToC(ev.Temperature),
+				Active: ev.Active !== false,
+				EventIsOnNextDay: Boolean(ev.EventIsOnNextDay),
+			})),
+		})),
+	};
+}
+
+function firstClock(schedule) {
+	for (const day of Array.isArray(schedule?.Days) ? schedule.Days : []) {
+		for (const ev of Array.isArray(day.Events) ? day.Events : []) {
+			if (ev.Clock) {
+				return String(ev.Clock);
+			}
+		}
+	}
+	return '';
+}
+
+// Validate an editable schedule (JSON string or object) and convert it to the
+// cloud format. Days missing from the input are taken from `current`, so the
+// result is always a full Schedule payload. Throws on invalid input.
+function parseEditableSchedule(input, options) {
+	const current = options?.current;
+	let doc = input;
+	if (typeof input === 'string') {
+		if (!input.trim()) {
+			throw new Error('Schedule JSON is empty');
+		}
+		try {
+			doc = JSON.parse(input);
+		} catch (e) {
+			throw new Error(`Schedule JSON is invalid: ${e?.message || e}`);
+		}
+	}
+
+	if (doc?.format !== undefined && doc.format !== SCHEDULE_DOC_FORMAT) {
+		throw new Error(`Unsupported schedule document format "${doc.format}"`);
+	}
+	if (doc?.version !== undefined && Number(doc.version) > SCHEDULE_DOC_VERSION) {
+		throw new Error(`Unsupported schedule document version ${doc.version}`);
+	}
+
+	const days = Array.isArray(doc) ? doc : doc?.Days;
+	if (!Array.isArray(days)) {
+		throw new Error('Schedule must contain a "Days" array');
+	}
+
+	const clockTemplate = firstClock(current);
+	const byDay = new Map();
+
+	for (const day of days) {
+		const wd = Number(day?.WeekDayGrpNo);
+		if (!Number.isInteger(wd) || wd < 0 || wd > 6) {
+			throw new Error(`Invalid WeekDayGrpNo "${day?.WeekDayGrpNo}" (expected 0-6)`);
+		}
+		if (byDay.has(wd)) {
+			throw new Error(`Duplicate WeekDayGrpNo ${wd}`);
+		}
+
+		const events = Array.isArray(day.Events) ? day.Events : [];
+		if (events.length > MAX_EVENTS_PER_DAY) {
+			throw new Error(`Day ${wd}: too many events (${events.length}, max ${MAX_EVENTS_PER_DAY})`);
+		}
+
+		const parsed = events.map((ev, i) => {
+			const minutes = parseClockMinutes(ev?.Clock);
+			if (!Number.isFinite(minutes)) {
+				throw new Error(`Day ${wd} event ${i}: invalid Clock "${ev?.Clock}" (expected HH:MM)`);
+			}
+			const tempC = Number(ev?.Temperature);
+			if (!Number.isFinite(tempC) || tempC < SCHEDULE_TEMP_MIN || tempC > SCHEDULE_TEMP_MAX) {
+				throw new Error(
+					`Day ${wd} event ${i}: Temperature "${ev?.Temperature}" out of range (${SCHEDULE_TEMP_MIN}-${SCHEDULE_TEMP_MAX} °C)`,
+				);
+			}
+			return {
+				minutes,
+				nextDay: Boolean(ev?.EventIsOnNextDay),
+				event: {
+					ScheduleType: Number.isInteger(Number(ev?.ScheduleType)) ? Number(ev.ScheduleType) : 0,
+					Clock: formatClock(minutes, clockTemplate),
+					Temperature: cToNum(tempC),
+					Active: ev?.Active !== false,
+					EventIsOnNextDay: Boolean(ev?.EventIsOnNextDay),
+				},
+			};
+		});
+
+		// same-day events first (by time), events after midnight last
+		parsed.sort((a, b) => Number(a.nextDay) - Number(b.nextDay) || a.minutes - b.minutes);
+		for (let i = 1; i < parsed.length; i++) {
+			if (parsed[i].nextDay === parsed[i - 1].nextDay && parsed[i].minutes === parsed[i - 1].minutes) {
+				throw new Error(`Day ${wd}: two events at ${formatClock(parsed[i].minutes, '')}`);
+			}
+		}
+
+		byDay.set(
+			wd,
+			parsed.map(p => p.event),
+		);
+	}
+
+	for (const day of Array.isArray(current?.Days) ? current.Days : []) {
+		const wd = Number(day.WeekDayGrpNo);
+		if (!byDay.has(wd)) {
+			byDay.set(wd, JSON.parse(JSON.stringify(Array.isArray(day.Events) ? day.Events : [])));
+		}
+	}
+
+	const result = [...byDay.keys()].sort((a, b) => a - b).map(wd => ({ WeekDayGrpNo: wd, Events: byDay.get(wd) }));
+
+	if (!result.some(day => day.Events.some(ev => ev.Active))) {
+		throw new Error('Schedule must contain at least one active event');
+	}
+
+	return { Days: result };
+}
+
+// Portable JSON document (importable via parseEditableSchedule)
+function scheduleToDocument(schedule, { thermostatName = '', serialNumber = '' } = {}) {
+	return {
+		format: SCHEDULE_DOC_FORMAT,
+		version: SCHEDULE_DOC_VERSION,
+		thermostatName,
+		serialNumber,
+		...scheduleToEditable(schedule),
+	};
+}
+
+// Active switching times of the week, sorted by minute of week (0 = Sunday 00:00)
+function activeSlots(schedule) {
+	const slots = [];
+	for (const day of Array.isArray(schedule?.Days) ? schedule.Days : []) {
+		const wd = Number(day.WeekDayGrpNo);
+		if (!Number.isInteger(wd) || wd < 0 || wd > 6) {
+			continue;
+		}
+		(Array.isArray(day.Events) ? day.Events : []).forEach((ev, i) => {
+			const minutes = parseClockMinutes(ev.Clock);
+			if (ev.Active === false || !Number.isFinite(minutes)) {
+				return;
+			}
+			const start = (wd * 1440 + (ev.EventIsOnNextDay ? 1440 : 0) + minutes) % MINUTES_PER_WEEK;
+			slots.push({ start, wd, i, temperature: ev.Temperature });
+		});
+	}
+	return slots.sort((a, b) => a.start - b.start);
+}
+
+// Schedule evaluation at a thermostat-local time (ms of the local wall clock read
+// as UTC). Returns the running temperature and the next time it changes (same
+// local ms scale), temperatures in cloud units. Null when there is no active event.
+function scheduleStateAt(schedule, localMs) {
+	const slots = activeSlots(schedule);
+	if (!slots.length) {
+		return null;
+	}
+
+	const d = new Date(localMs);
+	const now = d.getUTCDay() * 1440 + d.getUTCHours() * 60 + d.getUTCMinutes();
+	let idx = slots.length - 1; // before the first switch of the week the last one is still running
+	for (let i = 0; i < slots.length; i++) {
+		if (slots[i].start <= now) {
+			idx = i;
+		}
+	}
+	const current = slots[idx];
+
+	// next switch that actually changes the temperature
+	for (let step = 1; step < slots.length; step++) {
+		const next = slots[(idx + step) % slots.length];
+		if (next.temperature !== current.temperature) {
+			const delta = (next.start - now + MINUTES_PER_WEEK) % MINUTES_PER_WEEK || MINUTES_PER_WEEK;
+			return {
+				temperature: current.temperature,
+				nextSwitchLocalMs: Math.floor(localMs / 60000) * 60000 + delta * 60000,
+				nextTemperature: next.temperature,
+			};
+		}
+	}
+	return { temperature: current.temperature, nextSwitchLocalMs: null, nextTemperature: null };
+}
+
+function icsEscape(text) {
+	return String(text)
+		.replace(/[\\;,]/g, m => `\\${m}`)
+		.replace(/\n/g, '\\n');
+}
+
+// RFC 5545: lines longer than 75 octets are folded with CRLF + space
+function icsFold(line) {
+	const parts = [];
+	let rest = line;
+	while (Buffer.byteLength(rest) > 75) {
+		let cut = 75;
+		while (Buffer.byteLength(rest.slice(0, cut)) > 75) {
+			cut--;
+		}
+		parts.push(rest.slice(0, cut));
+		rest = ` ${rest.slice(cut)}`;
+	}
+	parts.push(rest);
+	return parts.join('\r\n');
+}
+
+function icsLocalStamp(minuteOfWeek) {
+	const d = new Date(ICS_REFERENCE_SUNDAY_MS + minuteOfWeek * 60000);
+	const pad = n => String(n).padStart(2, '0');
+	return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(
+		d.getUTCMinutes(),
+	)}00`;
+}
+
+// Weekly recurring calendar. Times are floating (thermostat-local, no TZID);
+// each event lasts until the next active switching time of the week.
+function scheduleToIcs(schedule, { thermostatName = '', serialNumber = '' } = {}) {
+	const slots = activeSlots(schedule);
+
+	const name = thermostatName || serialNumber || 'Thermostat';
+	const dtstamp = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//ioBroker//schlueter-thermostat//EN',
+		'CALSCALE:GREGORIAN',
+		`X-WR-CALNAME:${icsEscape(`${name} heating schedule`)}`,
+	];
+
+	slots.forEach((slot, idx) => {
+		const next = slots[(idx + 1) % slots.length];
+		let duration = (next.start - slot.start + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+		if (duration === 0) {
+			duration = MINUTES_PER_WEEK;
+		}
+		const startWd = Math.floor(slot.start / 1440);
+		lines.push(
+			'BEGIN:VEVENT',
+			`UID:${icsEscape(`${serialNumber || name}-${slot.wd}-${slot.i}@schlueter-thermostat`)}`,
+			`DTSTAMP:${dtstamp}`,
+			`DTSTART:${icsLocalStamp(slot.start)}`,
+			`DTEND:${icsLocalStamp(slot.start + duration)}`,
+			`RRULE:FREQ=WEEKLY;BYDAY=${ICS_WEEKDAYS[startWd]}`,
+			`SUMMARY:${icsEscape(`${name}: ${numToC(slot.temperature)} °C`)}`,
+			'END:VEVENT',
+		);
+	});
+
+	lines.push('END:VCALENDAR');
+	return `${lines.map(icsFold).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+	SCHEDULE_DOC_FORMAT,
+	SCHEDULE_TEMP_MIN,
+	SCHEDULE_TEMP_MAX,
+	MAX_EVENTS_PER_DAY,
+	parseClockMinutes,
+	scheduleToEditable,
+	parseEditableSchedule,
+	scheduleToDocument,
+	scheduleToIcs,
+	scheduleStateAt,
+};
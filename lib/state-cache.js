@@ -0,0 +1,82 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+// ============================================================================
+// Changed-value cache for polled states
+// - Poll writers (thermostat, status, schedule, energy) only write values that
+//   differ from the last value written to the same state
+// - Per thermostat: every N-th poll (config.stateRefreshPolls, 0 = never)
+//   writes all values again, so `ts` keeps moving for history / watchdogs
+// - Any other write of a state (safeSetState: optimistic values, apply
+//   handlers) drops its entry, so the next poll writes the real value again
+// - Written / skipped counters per thermostat for the poll debug log
+// ============================================================================
+
+function createStateCache(adapter) {
+	/** state id -> last value written by a poll */
+	const values = new Map();
+	/** devId -> { polls, refresh, written, skipped } */
+	const thermostats = new Map();
+
+	function thermostat(devId) {
+		let th = thermostats.get(devId);
+		if (!th) {
+			th = { polls: 0, refresh: false, written: 0, skipped: 0 };
+			thermostats.set(devId, th);
+		}
+		return th;
+	}
+
+	// Start of a poll (or refresh) of one thermostat
+	function nextPoll(devId) {
+		const th = thermostat(devId);
+		const every = Math.max(0, Math.floor(Number(adapter.config.stateRefreshPolls) || 0));
+		th.polls += 1;
+		th.refresh = every > 0 && th.polls % every === 0;
+	}
+
+	// Writes `${devId}.${sub}` unless the value did not change since the last poll
+	function set(devId, sub, val) {
+		const id = `${devId}.${sub}`;
+		const th = thermostat(devId);
+		if (!th.refresh && values.has(id) && values.get(id) === val) {
+			th.skipped += 1;
+			return;
+		}
+		adapter.safeSetState(id, { val, ack: true });
+		values.set(id, val);
+		th.written += 1;
+	}
+
+	function forget(id) {
+		values.delete(id);
+	}
+
+	// Drop everything below a thermostat (or any other object id)
+	function clear(prefix) {
+		for (const id of values.keys()) {
+			if (id.startsWith(`${prefix}.`)) {
+				values.delete(id);
+			}
+		}
+		thermostats.delete(prefix);
+	}
+
+	// Counters of the thermostats below `prefix`, reset after reading
+	function takeStats(prefix = '') {
+		const stats = { written: 0, skipped: 0 };
+		for (const [devId, th] of thermostats) {
+			if (devId.startsWith(prefix)) {
+				stats.written += th.written;
+				stats.skipped += th.skipped;
+				th.written = 0;
+				th.skipped = 0;
+			}
+		}
+		return stats;
+	}
+
+	return { nextPoll, set, forget, clear, takeStats };
+}
+
+module.exports = { createStateCache };
@@ -0,0 +1,88 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { numToC } = require('./util');
+const { scheduleStateAt } = require('./schedule');
+const { formatThermostatLocalNoZFromUtcMs, thermostatLocalNoZToUtcMs } = require('./time');
+
+// ============================================================================
+// Computed thermostat status (status.* states)
+// - activeSource: what currently determines the target temperature
+// - effectiveSetpoint: target temperature in °C (null if the cloud does not tell)
+// - nextSwitchTime / nextSetpoint: next change of the target, thermostat-local
+//   no-Z like endTime.* ('' / null if nothing is planned)
+// Comfort / boost fall back to the schedule at their end time, vacation after
+// its end day. Eco lowers the schedule by a thermostat-internal offset that the
+// cloud does not report, so eco has no setpoint.
+// ============================================================================
+
+const ACTIVE_SOURCES = ['schedule', 'comfort', 'boost', 'manual', 'eco', 'frost', 'vacation', 'unknown'];
+
+const FROST_PROTECTION_C = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function computeThermostatStatus(t, { nowMs = Date.now(), tzSec = 0, comfortEndLocal = '', boostEndLocal = '' } = {}) {
+	const toLocal = utcMs => formatThermostatLocalNoZFromUtcMs(utcMs, tzSec);
+
+	// schedule value at a UTC time, with the following change
+	const scheduleAt = utcMs => {
+		const st = scheduleStateAt(t?.Schedule, utcMs + tzSec * 1000);
+		const nextLocalMs = st?.nextSwitchLocalMs;
+		return {
+			setpoint: numToC(st?.temperature),
+			nextSwitchTime: typeof nextLocalMs === 'number' ? toLocal(nextLocalMs - tzSec * 1000) : '',
+			nextSetpoint: numToC(st?.nextTemperature),
+		};
+	};
+
+	// temporary mode until `endMs`, then back to the schedule
+	const until = (activeSource, effectiveSetpoint, endMs) => {
+		if (!Number.isFinite(endMs)) {
+			return { activeSource, effectiveSetpoint, nextSwitchTime: '', nextSetpoint: null };
+		}
+		return {
+			activeSource,
+			effectiveSetpoint,
+			nextSwitchTime: toLocal(endMs),
+			nextSetpoint: scheduleAt(endMs).setpoint,
+		};
+	};
+
+	const fromSchedule = () => {
+		const st = scheduleAt(nowMs);
+		return {
+			activeSource: 'schedule',
+			effectiveSetpoint: st.setpoint,
+			nextSwitchTime: st.nextSwitchTime,
+			nextSetpoint: st.nextSetpoint,
+		};
+	};
+
+	switch (Number(t?.RegulationMode)) {
+		case 1:
+			return fromSchedule();
+		case 2: {
+			const endMs = thermostatLocalNoZToUtcMs(comfortEndLocal, tzSec);
+			// end time already passed: thermostat is back on schedule, cloud not updated yet
+			return endMs <= nowMs ? fromSchedule() : until('comfort', numToC(t?.ComfortSetpoint), endMs);
+		}
+		case 3:
+			return until('manual', numToC(t?.ManualModeSetpoint), NaN);
+		case 4: {
+			const endDayMs = thermostatLocalNoZToUtcMs(String(t?.VacationEndDay || '').slice(0, 10), tzSec);
+			return until('vacation', numToC(t?.VacationTemperature), endDayMs + DAY_MS);
+		}
+		case 6:
+			return until('frost', FROST_PROTECTION_C, NaN);
+		case 8: {
+			const endMs = thermostatLocalNoZToUtcMs(boostEndLocal, tzSec);
+			return endMs <= nowMs ? fromSchedule() : until('boost', null, endMs);
+		}
+		case 9:
+			return until('eco', null, NaN);
+		default:
+			return until('unknown', null, NaN);
+	}
+}
+
+module.exports = { ACTIVE_SOURCES, computeThermostatStatus };
@@ -49,6 +49,17 @@ function formatThermostatLocalNoZFromUtcMs(utcMs, timeZoneSec) {
 	)}:${pad(d.getUTCSeconds())}`;
 }
 
+// Thermostat-local no-Z string -> UTC ms (NaN if unparsable)
+function thermostatLocalNoZToUtcMs(value, timeZoneSec) {
+	const tz = Number.isFinite(timeZoneSec) ? timeZoneSec : 0;
+	let s = stripMsKeepLocalNoZ(String(value ?? '').trim());
+	if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+		s += 'T00:00:00';
+	}
+	const ms = Date.parse(`${s}Z`);
+	return Number.isFinite(ms) ? ms - tz * 1000 : NaN;
+}
+
 function stripMsKeepLocalNoZ(s) {
 	return String(s)
 		.replace(/\.\d{1,3}/, '')
@@ -58,4 +69,6 @@ function stripMsKeepLocalNoZ(s) {
 module.exports = {
 	toThermostatLocalNoZFromAny,
 	nowPlusMinutesThermostatLocalNoZ,
+	formatThermostatLocalNoZFromUtcMs,
+	thermostatLocalNoZToUtcMs,
 };
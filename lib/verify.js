@@ -0,0 +1,167 @@
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const { parseClockMinutes } = require('./schedule');
+
+// ============================================================================
+// Write verification (read-back after apply)
+// - The cloud may accept UpdateThermostat (ErrorCode 0) although the thermostat
+//   never applies it, so after a successful apply GroupContents is re-read with
+//   a short retry schedule and compared with the fields that were sent
+// - apply.<mode>.confirmation: pending → confirmed | failed
+// - End times are not compared (the cloud normalizes their format)
+// - A new apply for the same thermostat/mode replaces a running verification
+// - Every successful read-back is handed to `onRead` (GroupContents data), so
+//   the caller can update the thermostat's states without reading again
+// ============================================================================
+
+const VERIFY_DELAYS_MS = [3000, 10000, 30000];
+
+const VERIFY_FIELDS = [
+	'RegulationMode',
+	'ComfortSetpoint',
+	'ManualModeSetpoint',
+	'VacationEnabled',
+	'VacationBeginDay',
+	'VacationEndDay',
+	'VacationTemperature',
+	'Schedule',
+];
+
+function normalizeSchedule(schedule) {
+	const days = Array.isArray(schedule?.Days) ? schedule.Days : [];
+	return JSON.stringify(
+		days
+			.map(day => [
+				Number(day.WeekDayGrpNo),
+				(Array.isArray(day.Events) ? day.Events : []).map(ev => [
+					parseClockMinutes(ev.Clock),
+					Number(ev.Temperature),
+					ev.Active !== false,
+					Boolean(ev.EventIsOnNextDay),
+				]),
+			])
+			.sort((a, b) => Number(a[0]) - Number(b[0])),
+	);
+}
+
+function sameValue(key, sent, actual) {
+	switch (key) {
+		case 'Schedule':
+			return normalizeSchedule(sent) === normalizeSchedule(actual);
+		case 'VacationBeginDay':
+		case 'VacationEndDay':
+			// cloud returns days as date or date-time
+			return String(sent ?? '').slice(0, 10) === String(actual ?? '').slice(0, 10);
+		case 'VacationEnabled':
+			return Boolean(sent) === Boolean(actual);
+		case 'ThermostatName':
+			return String(sent ?? '') === String(actual ?? '');
+		default:
+			return Number(sent) === Number(actual);
+	}
+}
+
+// Field names of `payload` that differ in the thermostat data `t`
+function findMismatches(payload, t, { compareName = false } = {}) {
+	const keys = compareName ? [...VERIFY_FIELDS, 'ThermostatName'] : VERIFY_FIELDS;
+	return keys.filter(key => payload?.[key] !== undefined && !sameValue(key, payload[key], t?.[key]));
+}
+
+function findThermostatInGroups(data, serial) {
+	for (const group of Array.isArray(data?.GroupContents) ? data.GroupContents : []) {
+		for (const t of Array.isArray(group?.Thermostats) ? group.Thermostats : []) {
+			if (String(t?.SerialNumber ?? '') === serial) {
+				return t;
+			}
+		}
+	}
+	return null;
+}
+
+function createWriteVerifier(adapter) {
+	const timers = new Map(); // `${devPrefix}.${modeFolder}` -> timer handle
+	const runs = new Map(); // `${devPrefix}.${modeFolder}` -> token of the current verification
+
+	const verifier = {
+		delaysMs: VERIFY_DELAYS_MS,
+
+		// Starts the read-back for one successful apply (does not wait for it)
+		start({ client, devPrefix, modeFolder, serial, payload, onRead }) {
+			const key = `${devPrefix}.${modeFolder}`;
+			const stateId = `${devPrefix}.apply.${modeFolder}.confirmation`;
+			verifier.cancel(key);
+			if (!payload) {
+				return;
+			}
+
+			const run = {};
+			runs.set(key, run);
+			adapter.safeSetState(stateId, { val: 'pending', ack: true });
+
+			let attempt = 0;
+			const check = async () => {
+				attempt++;
+				let mismatches = ['unreadable'];
+				try {
+					const data = await client.getGroupContents();
+					if (!adapter.unloading && runs.get(key) === run) {
+						await onRead?.(data);
+					}
+					const t = findThermostatInGroups(data, serial);
+					mismatches = t ? findMismatches(payload, t, { compareName: modeFolder === 'name' }) : ['missing'];
+				} catch (e) {
+					adapter.log.debug(`Verify ${key}: read-back failed: ${e?.message || e}`);
+				}
+
+				if (adapter.unloading || runs.get(key) !== run) {
+					return; // stopped or replaced meanwhile
+				}
+				if (!mismatches.length) {
+					adapter.log.debug(`Verify ${key}: confirmed after ${attempt} read(s)`);
+					adapter.safeSetState(stateId, { val: 'confirmed', ack: true });
+					runs.delete(key);
+					return;
+				}
+				if (attempt >= verifier.delaysMs.length) {
+					adapter.log.warn(
+						`Write not applied by thermostat ${serial} (${modeFolder}): mismatch in ${mismatches.join(', ')} after ${attempt} read(s)`,
+					);
+					adapter.safeSetState(stateId, { val: 'failed', ack: true });
+					runs.delete(key);
+					return;
+				}
+				next();
+			};
+
+			const next = () => {
+				const h = adapter.setTimeout(() => {
+					timers.delete(key);
+					check().catch(e => adapter.log.debug(`Verify ${key}: ${e?.message || e}`));
+				}, verifier.delaysMs[attempt]);
+				timers.set(key, h);
+			};
+
+			next();
+		},
+
+		cancel(key) {
+			runs.delete(key);
+			const h = timers.get(key);
+			if (h) {
+				adapter.clearTimeout(h);
+				timers.delete(key);
+			}
+		},
+
+		cancelAll() {
+			for (const key of [...runs.keys()]) {
+				verifier.cancel(key);
+			}
+		},
+	};
+
+	return verifier;
+}
+
+module.exports = { VERIFY_DELAYS_MS, findMismatches, createWriteVerifier };
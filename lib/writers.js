@@ -2,54 +2,98 @@
 'use strict';
 
 const { numToC } = require('./util');
-const { ensureContainer } = require('./objects');
+const {
+	ensureScheduleObjects,
+	ensureEnergyObjects,
+	ensureEnergyTableObjects,
+	ensureEnergyTotalsObjects,
+} = require('./objects');
+const { scheduleToEditable, scheduleToDocument } = require('./schedule');
 
 async function writeThermostatStates(adapter, devId, t, { comfortEndLocal, boostEndLocal }) {
-	adapter.safeSetState(`${devId}.online`, { val: Boolean(t?.Online), ack: true });
-	adapter.safeSetState(`${devId}.heating`, { val: Boolean(t?.Heating), ack: true });
-	adapter.safeSetState(`${devId}.thermostatName`, { val: String(t?.ThermostatName || ''), ack: true });
+	const set = (id, val) => adapter.stateCache.set(devId, id, val);
+
+	set('online', Boolean(t?.Online));
+	set('heating', Boolean(t?.Heating));
+	set('thermostatName', String(t?.ThermostatName || ''));
 
 	const rt = numToC(t?.RoomTemperature);
 	const ft = numToC(t?.FloorTemperature);
 	if (rt !== null) {
-		adapter.safeSetState(`${devId}.temperature.room`, { val: rt, ack: true });
+		set('temperature.room', rt);
 	}
 	if (ft !== null) {
-		adapter.safeSetState(`${devId}.temperature.floor`, { val: ft, ack: true });
+		set('temperature.floor', ft);
 	}
 
 	const ms = numToC(t?.ManualModeSetpoint);
 	const cs = numToC(t?.ComfortSetpoint);
 	if (ms !== null) {
-		adapter.safeSetState(`${devId}.setpoint.manual`, { val: ms, ack: true });
+		set('setpoint.manual', ms);
 	}
 	if (cs !== null) {
-		adapter.safeSetState(`${devId}.setpoint.comfort`, { val: cs, ack: true });
+		set('setpoint.comfort', cs);
 	}
 
-	adapter.safeSetState(`${devId}.regulationMode`, { val: Number(t?.RegulationMode ?? 0), ack: true });
+	set('regulationMode', Number(t?.RegulationMode ?? 0));
 
 	if (comfortEndLocal) {
-		adapter.safeSetState(`${devId}.endTime.comfort`, { val: comfortEndLocal, ack: true });
+		set('endTime.comfort', comfortEndLocal);
 	}
 	if (boostEndLocal) {
-		adapter.safeSetState(`${devId}.endTime.boost`, { val: boostEndLocal, ack: true });
+		set('endTime.boost', boostEndLocal);
 	}
 
 	const vEnabled = Boolean(t?.VacationEnabled);
 	const vBegin = String(t?.VacationBeginDay || '');
 	const vEnd = String(t?.VacationEndDay || '');
-	adapter.safeSetState(`${devId}.vacation.enabled`, { val: vEnabled, ack: true });
+	set('vacation.enabled', vEnabled);
 	if (vBegin) {
-		adapter.safeSetState(`${devId}.vacation.begin`, { val: vBegin, ack: true });
+		set('vacation.begin', vBegin);
 	}
 	if (vEnd) {
-		adapter.safeSetState(`${devId}.vacation.end`, { val: vEnd, ack: true });
+		set('vacation.end', vEnd);
 	}
 
 	const vTempC = numToC(t?.VacationTemperature);
 	if (vTempC !== null) {
-		adapter.safeSetState(`${devId}.vacation.temperature`, { val: vTempC, ack: true });
+		set('vacation.temperature', vTempC);
+	}
+}
+
+function writeStatusStates(adapter, devId, status) {
+	const set = (id, val) => adapter.stateCache.set(devId, id, val);
+
+	set('status.activeSource', status.activeSource);
+	set('status.effectiveSetpoint', status.effectiveSetpoint);
+	set('status.nextSwitchTime', status.nextSwitchTime);
+	set('status.nextSetpoint', status.nextSetpoint);
+}
+
+// Expected values right after a successful apply, until the refresh reads the
+// real ones: q = 0x40 (substitute value from instance). `heating` is left alone.
+const Q_OPTIMISTIC = 0x40;
+
+function writeOptimisticStates(adapter, devId, payload) {
+	const set = (id, val) => adapter.safeSetState(`${devId}.${id}`, { val, ack: true, q: Q_OPTIMISTIC });
+
+	if (payload?.RegulationMode !== undefined) {
+		set('regulationMode', Number(payload.RegulationMode));
+	}
+	if (payload?.ComfortSetpoint !== undefined) {
+		set('setpoint.comfort', numToC(payload.ComfortSetpoint));
+	}
+	if (payload?.ManualModeSetpoint !== undefined) {
+		set('setpoint.manual', numToC(payload.ManualModeSetpoint));
+	}
+	if (payload?.VacationEnabled !== undefined) {
+		set('vacation.enabled', Boolean(payload.VacationEnabled));
+	}
+	if (payload?.VacationTemperature !== undefined) {
+		set('vacation.temperature', numToC(payload.VacationTemperature));
+	}
+	if (payload?.ThermostatName) {
+		set('thermostatName', String(payload.ThermostatName));
 	}
 }
 
@@ -65,6 +109,50 @@ async function prefillApplyNonDestructive(adapter, devId, t) {
 	if (vTempC !== null) {
 		await setIfEmpty(adapter, `${devId}.apply.vacation.temperature`, vTempC);
 	}
+
+	if (Array.isArray(t?.Schedule?.Days)) {
+		await syncScheduleEdit(adapter, devId, t.Schedule);
+	}
+}
+
+// apply.scheduleEdit.json follows the cloud schedule as long as it still holds
+// the value the adapter wrote last (native.written); an edit is left alone.
+// The object is read once per cloud schedule (adapter.objectRegistry).
+async function syncScheduleEdit(adapter, devId, schedule) {
+	const id = `${devId}.apply.scheduleEdit.json`;
+	const value = JSON.stringify(scheduleToEditable(schedule));
+	try {
+		const st = await adapter.getStateAsync(id);
+		const cur = st?.val;
+		if (cur === value) {
+			return;
+		}
+		if (cur === null || cur === undefined || cur === '') {
+			await writeScheduleEdit(adapter, devId, value);
+			return;
+		}
+		await adapter.objectRegistry.once(id, value, async () => {
+			const obj = await adapter.safeGetObject(id);
+			if (obj && cur === obj.native?.written) {
+				await writeScheduleEdit(adapter, devId, value, obj);
+			}
+		});
+	} catch {
+		// ignore
+	}
+}
+
+// Writes apply.scheduleEdit.json and remembers the value as written by the adapter
+async function writeScheduleEdit(adapter, devId, value, obj) {
+	const id = `${devId}.apply.scheduleEdit.json`;
+	const st = await adapter.getStateAsync(id);
+	if (st?.val !== value) {
+		adapter.safeSetState(id, { val: value, ack: true });
+	}
+	obj = obj || (await adapter.safeGetObject(id));
+	if (obj && obj.native?.written !== value) {
+		await adapter.safeSetObject(id, { ...obj, native: { ...(obj.native || {}), written: value } });
+	}
 }
 
 async function setIfEmpty(adapter, id, value) {
@@ -82,14 +170,15 @@ async function setIfEmpty(adapter, id, value) {
 	}
 }
 
-async function writeScheduleStates(adapter, devId, schedule) {
-	const ensureState = async (id, common) => {
-		await adapter.safeSetObjectNotExists(id, { type: 'state', common, native: {} });
-	};
-
+async function writeScheduleStates(adapter, devId, schedule, meta = {}) {
 	if (!schedule || !Array.isArray(schedule.Days)) {
 		return;
 	}
+	await ensureScheduleObjects(adapter, devId, schedule);
+
+	// Portable export of the whole program (see sendTo "exportSchedule" / "importSchedule")
+	const set = (id, val) => adapter.stateCache.set(devId, id, val);
+	set('schedule.json', JSON.stringify(scheduleToDocument(schedule, meta)));
 
 	for (const day of schedule.Days) {
 		const wd = String(day.WeekDayGrpNo ?? '');
@@ -97,110 +186,59 @@ async function writeScheduleStates(adapter, devId, schedule) {
 			continue;
 		}
 
-		const dayCh = `${devId}.schedule.day${wd}`;
-		await ensureContainer(adapter, dayCh, 'folder', `Day ${wd}`);
-
 		const events = Array.isArray(day.Events) ? day.Events : [];
 		for (let i = 0; i < events.length; i++) {
 			const ev = events[i];
-			const evCh = `${dayCh}.event${i}`;
-			await ensureContainer(adapter, evCh, 'folder', `Event ${i}`);
-
-			await ensureState(`${evCh}.type`, {
-				name: 'ScheduleType',
-				type: 'number',
-				role: 'value',
-				read: true,
-				write: false,
-			});
-			await ensureState(`${evCh}.time`, {
-				name: 'Clock',
-				type: 'string',
-				role: 'text',
-				read: true,
-				write: false,
-			});
-			await ensureState(`${evCh}.temperature`, {
-				name: 'Temperature',
-				type: 'number',
-				role: 'value.temperature',
-				unit: '°C',
-				read: true,
-				write: false,
-			});
-			await ensureState(`${evCh}.active`, {
-				name: 'Active',
-				type: 'boolean',
-				role: 'indicator',
-				read: true,
-				write: false,
-			});
-			await ensureState(`${evCh}.nextDay`, {
-				name: 'EventIsOnNextDay',
-				type: 'boolean',
-				role: 'indicator',
-				read: true,
-				write: false,
-			});
-
-			adapter.safeSetState(`${evCh}.type`, { val: Number(ev.ScheduleType ?? 0), ack: true });
-			adapter.safeSetState(`${evCh}.time`, { val: String(ev.Clock ?? ''), ack: true });
+			const evSub = `schedule.day${wd}.event${i}`;
+			set(`${evSub}.type`, Number(ev.ScheduleType ?? 0));
+			set(`${evSub}.time`, String(ev.Clock ?? ''));
 
 			const temp = numToC(ev.Temperature);
 			if (temp !== null) {
-				adapter.safeSetState(`${evCh}.temperature`, { val: temp, ack: true });
+				set(`${evSub}.temperature`, temp);
 			}
 
-			adapter.safeSetState(`${evCh}.active`, { val: Boolean(ev.Active), ack: true });
-			adapter.safeSetState(`${evCh}.nextDay`, { val: Boolean(ev.EventIsOnNextDay), ack: true });
+			set(`${evSub}.active`, Boolean(ev.Active));
+			set(`${evSub}.nextDay`, Boolean(ev.EventIsOnNextDay));
 		}
 	}
 }
 
-async function writeEnergyStates(adapter, devId, serial, { history, viewType }) {
-	try {
-		const ensureState = async (id, common) => {
-			await adapter.safeSetObjectNotExists(id, { type: 'state', common, native: {} });
-		};
+// usage: Usage array of GetEnergyUsage (see lib/energy-scheduler.js)
+async function writeEnergyStates(adapter, devId, usage) {
+	await ensureEnergyObjects(adapter, devId, usage.length);
+	adapter.stateCache.set(devId, 'energy.count', usage.length);
 
-		adapter.log.debug(`Energy: requesting usage for SerialNumber=${serial}`);
-		const energy = await adapter.client.getEnergyUsage(serial, { history, viewType });
+	for (let i = 0; i < usage.length; i++) {
+		const v = Number(usage[i]?.EnergyKWattHour);
+		if (Number.isFinite(v)) {
+			adapter.stateCache.set(devId, `energy.value${i}`, v);
+		}
+	}
+}
 
-		const usage = energy?.EnergyUsage?.[0]?.Usage || [];
+// rows: [{ date, kWh }] of one view (see lib/energy.js)
+async function writeEnergyTable(adapter, devId, view, name, rows) {
+	await ensureEnergyTableObjects(adapter, devId, view, name);
+	adapter.stateCache.set(devId, `energy.${view}.json`, JSON.stringify(rows));
+}
 
-		await ensureState(`${devId}.energy.count`, {
-			name: 'Values count',
-			type: 'number',
-			role: 'value',
-			read: true,
-			write: false,
-		});
-		adapter.safeSetState(`${devId}.energy.count`, { val: usage.length, ack: true });
-
-		for (let i = 0; i < usage.length; i++) {
-			const sid = `${devId}.energy.value${i}`;
-			await ensureState(sid, {
-				name: `Energy Day ${i}`,
-				type: 'number',
-				role: 'value.energy',
-				unit: 'kWh',
-				read: true,
-				write: false,
-			});
-
-			const v = Number(usage[i]?.EnergyKWattHour);
-			if (Number.isFinite(v)) {
-				adapter.safeSetState(sid, { val: v, ack: true });
-			}
-		}
-	} catch (e) {
-		adapter.log.debug(`Energy not available for SerialNumber=${serial}: ${e?.message || e}`);
+// totals: { today, yesterday, thisWeek, thisMonth, thisYear, lastYear } in kWh
+async function writeEnergyTotals(adapter, channelId, channelName, totals) {
+	await ensureEnergyTotalsObjects(adapter, channelId, channelName);
+	for (const [key, val] of Object.entries(totals)) {
+		adapter.stateCache.set(channelId, key, val);
 	}
 }
 
 module.exports = {
 	writeThermostatStates,
+	writeStatusStates,
+	writeOptimisticStates,
 	prefillApplyNonDestructive,
+	writeScheduleEdit,
 	writeScheduleStates,
 	writeEnergyStates,
+	writeEnergyTable,
+	writeEnergyTotals,
 };
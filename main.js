@@ -5,7 +5,10 @@
 // Cloud-only adapter for OJ Microline / Schlüter OWD5/OCD5
 //
 // Object hierarchy  (folder → folder → folder → device → channel → state):
-// groups                        (folder)
+// accounts.<AccountId>          (folder, additional cloud accounts only)
+//   .info                       (channel)  → connection, loginState, lastLoginError
+//   .groups …                   (same tree as below)
+// groups                        (folder, primary account)
 //   .<GroupId>                  (folder, name = GroupName)
 //     .thermostats              (folder)
 //       .<ThermostatId>         (device, name = ThermostatName)
@@ -14,19 +17,48 @@
 //          .regulationMode      (state, read-only)
 //          .endTime             (channel)  → comfort, boost
 //          .vacation            (channel)  → enabled, begin, end, temperature
-//          .schedule            (channel)  → day<N> (folder) → event<N> (folder)
-//          .energy              (channel)  → count, value0 …
+//          .status              (channel)  → activeSource, effectiveSetpoint, nextSwitchTime, nextSetpoint
+//          .schedule            (channel)  → json, day<N> (folder) → event<N> (folder)
+//          .energy              (channel)  → valid, count, value0 …, week / month / year (folder) → json
+//                                           (own slower schedule, lib/energy-scheduler.js)
 //          .apply               (channel)  → <mode> (folder) → states
+//                                           (scheduleEdit: weekly program as JSON)
+//                                           lastResult, lastError, lastAppliedAt, lastPayload
+//                                           confirmation: read-back result after apply
+//          .pending             (channel)  → <mode> (folder) → queuedAt, expiresAt, reason, cancel
+//                                           (optional offline queue)
+//
+// Accounts:
+// - Primary account from the main settings, optional additional accounts
+//   (config.accounts), each with its own client, session and fallback polling
 //
 // Robustness:
+// - Startup login is retried with the fallback backoff (info.loginState /
+//   info.lastLoginError); only a login refused with HTTP 401 / 403 is not
+//   retried (ErrorCodes in the body are undocumented and may be temporary)
 // - Poll interval min 10s, clamp to Node max timer
+// - HTTP: timeout per endpoint, GET retries with jitter, requests aborted on
+//   unload; a watchdog releases a poll that never settles, aborts its read
+//   and keeps it from writing afterwards
+// - Optional HTTP(S) proxy, custom CA and (opt-in) insecure TLS
 // - If poll fails, info.connection = false
 // - Fallback polling: on connection error or all devices offline,
 //   interval doubles up to 1h, then falls back to 12:00/00:00 schedule.
 //   Resets to base interval when any device comes back online.
 // - Warn once when thermostat turns offline
+// - Object definitions are created / migrated once per adapter start and
+//   only revisited when their layout changes (lib/object-registry.js)
+// - Polled states are only written when their value changed (optionally all
+//   values again every N polls, config.stateRefreshPolls)
 // - Block ALL writes unless thermostat is online
 // - Apply-only concept: only pressing apply.*.apply sends data
+// - Writes are queued per thermostat: one request at a time, commands within
+//   a short window merged into one UpdateThermostat, superseded mode changes dropped
+// - Writes are verified by re-reading GroupContents (pending/confirmed/failed)
+// - After a successful apply the sent values are written with q=0x40; the
+//   read-backs of the verification replace them with the real values (or a
+//   separate re-read a few seconds later if verifyWrites is off); never in
+//   parallel with a poll, the poll schedule and fallback backoff are not touched
 // - Time handling:
 //   - Incoming EndTimes from cloud -> displayed as thermostat-local no-Z using TimeZone (sec)
 //   - Outgoing EndTimes for comfort/boost -> sent as thermostat-local no-Z using TimeZone (sec)
@@ -34,22 +66,49 @@
 
 const { setTimeout: delay } = require('node:timers/promises');
 const utils = require('@iobroker/adapter-core');
-const { OJClient } = require('./lib/oj-client');
-const { safeId } = require('./lib/util');
+const { OJClient, clientOptionsFromConfig } = require('./lib/oj-client');
+const { OJAuthError, isCommError } = require('./lib/errors');
+const {
+	groupDevId,
+	thermostatDevId,
+	accountIdOf,
+	CloudAccount,
+	accountConfig,
+	missingFields,
+	accountsFromConfig,
+} = require('./lib/accounts');
 
-const { ensureContainer, ensureGroupObjects, ensureThermostatObjects, ensureApplyObjects } = require('./lib/objects');
+const {
+	APPLY_FOLDERS,
+	ensureContainer,
+	ensureGroupObjects,
+	ensureAccountObjects,
+	ensureThermostatObjects,
+	ensureApplyObjects,
+} = require('./lib/objects');
 const { toThermostatLocalNoZFromAny } = require('./lib/time');
+const { computeThermostatStatus } = require('./lib/status');
 const {
 	writeThermostatStates,
+	writeStatusStates,
+	writeOptimisticStates,
 	prefillApplyNonDestructive,
 	writeScheduleStates,
-	writeEnergyStates,
 } = require('./lib/writers');
 const { createApplyRouter } = require('./lib/apply-handlers');
+const { createMessageRouter } = require('./lib/message-handlers');
+const { createWriteVerifier } = require('./lib/verify');
+const { createCommandQueue, CommandSupersededError } = require('./lib/command-queue');
+const { createOfflineQueue } = require('./lib/offline-queue');
+const { createStateCache } = require('./lib/state-cache');
+const { createObjectRegistry } = require('./lib/object-registry');
+const { createEnergyScheduler } = require('./lib/energy-scheduler');
 const { SchlueterDeviceManagement } = require('./lib/device-manager');
 const { sendNotification } = require('./lib/notificationManager');
 
 const BACKOFF_MAX_MS = 3600000; // 1 hour maximum backoff before switching to fixed schedule
+const REFRESH_DELAY_MS = 5000; // targeted refresh after a successful apply
+const POLL_WATCHDOG_MS = 10 * 60 * 1000; // a poll running longer is considered stuck
 
 class SchlueterThermostat extends utils.Adapter {
 	constructor(options) {
@@ -61,51 +120,52 @@ class SchlueterThermostat extends utils.Adapter {
 		this._origGetObjectAsync = this.getObjectAsync.bind(this);
 		this._origSetState = this.setState.bind(this);
 
-		this.client = null;
+		/** Cloud accounts (primary first), each with client, session and polling state */
+		this.accounts = [new CloudAccount()];
 		const messageListenersBeforeDm = this.rawListeners('message');
 		this.deviceManagement = new SchlueterDeviceManagement(this);
 		this._detachDmMessageListeners(messageListenersBeforeDm);
 
-		/** ThermostatId -> SerialNumber */
+		// Thermostat caches are keyed by devId (thermostatDevId): ThermostatIds of
+		// different cloud accounts may be equal
+
+		/** devId -> { accountId ('' = primary account), groupId, thermostatId } */
+		this.thermostatRef = {};
+		/** devId -> SerialNumber */
 		this.thermostatSerial = {};
-		/** ThermostatId -> GroupId */
-		this.thermostatGroup = {};
-		/** ThermostatId -> ThermostatName */
+		/** devId -> ThermostatName */
 		this.thermostatNameCache = {};
-		/** ThermostatId -> TimeZone seconds (e.g. 3600 / 7200) */
+		/** devId -> TimeZone seconds (e.g. 3600 / 7200) */
 		this.thermostatTimeZoneSec = {};
+		/** devId -> last raw thermostat object from GroupContents */
+		this.thermostatData = {};
 
-		/** GroupId -> GroupName */
+		/** Group object id (<prefix>groups.<GroupId>) -> GroupName */
 		this.groupNameCache = {};
 
-		/** ThermostatId -> last known online */
+		/** devId -> last known online */
 		this.lastOnline = {};
-		/** ThermostatId -> did we already warn for current offline phase? */
+		/** devId -> did we already warn for current offline phase? */
 		this.warnedOffline = {};
-		/** CloudOffline */
-		this.pollFailCount = 0;
+		/** CloudOffline: failed polls before info.connection=false */
 		this.POLL_FAIL_THRESHOLD = 3;
-		this.warnedNoCloud = false;
 		/** devId -> legacy deleted */
 		this.legacyStatesDeleted = {};
 
-		this.pollTimer = null;
 		this.unloading = false;
-		this.pollInFlight = false;
-		this.pollPromise = null;
-
-		/** Fallback polling: base interval from config */
-		this.baseIntervalMs = 0;
-		/** Fallback polling: current (possibly increased) interval */
-		this.currentIntervalMs = 0;
-		/** Fallback polling: true when backoff exceeded 1h, polling at 12:00/00:00 */
-		this.inFixedSchedule = false;
-		/** Fallback polling: any thermostat online during current poll? */
-		this._anyOnlineThisPoll = false;
-		/** Fallback polling: any thermostat present during current poll? */
-		this._hadThermostatsThisPoll = false;
+		/** Poll watchdog: releases pollInFlight if a poll never settles */
+		this.pollWatchdogMs = POLL_WATCHDOG_MS;
+		/** Targeted refresh after apply: delay before the re-read */
+		this.refreshDelayMs = REFRESH_DELAY_MS;
 
 		this.applyRouter = createApplyRouter(this);
+		this.messageRouter = createMessageRouter(this);
+		this.writeVerifier = createWriteVerifier(this);
+		this.commandQueue = createCommandQueue(this);
+		this.offlineQueue = createOfflineQueue(this);
+		this.stateCache = createStateCache(this);
+		this.objectRegistry = createObjectRegistry();
+		this.energyScheduler = createEnergyScheduler(this);
 
 		this.on('ready', this.onReady.bind(this));
 		this.on('message', this.onMessage.bind(this));
@@ -132,39 +192,9 @@ class SchlueterThermostat extends utils.Adapter {
 		}
 	}
 
+	// network, server or authentication problem (typed errors from lib/errors.js)
 	_isCommError(err) {
-		const msg = String(err?.message || err).toLowerCase();
-
-		// typical network / transport errors
-		if (
-			msg.includes('econnrefused') ||
-			msg.includes('econnreset') ||
-			msg.includes('etimedout') ||
-			msg.includes('timeout') ||
-			msg.includes('enotfound') ||
-			msg.includes('eai_again') ||
-			msg.includes('socket hang up') ||
-			msg.includes('network') ||
-			msg.includes('getaddrinfo') ||
-			msg.includes('connection') ||
-			msg.includes('unable to connect')
-		) {
-			return true;
-		}
-
-		// if OJClient errors carry HTTP status codes
-		const status = err?.statusCode ?? err?.status ?? err?.response?.status;
-		if (Number.isFinite(status)) {
-			// 5xx = server unreachable, 401/403 = auth broken (connection unusable)
-			if (status >= 500) {
-				return true;
-			}
-			if (status === 401 || status === 403) {
-				return true;
-			}
-		}
-
-		return false;
+		return isCommError(err);
 	}
 
 	async safeSetObject(id, obj) {
@@ -179,6 +209,8 @@ class SchlueterThermostat extends utils.Adapter {
 	}
 
 	safeSetState(id, val, ack = true) {
+		// written outside of a poll: the next poll writes its value again
+		this.stateCache.forget(id);
 		try {
 			this._origSetState(id, val, ack);
 		} catch (e) {
@@ -201,6 +233,9 @@ class SchlueterThermostat extends utils.Adapter {
 	}
 
 	async safeDelObject(id, options = {}) {
+		this.stateCache.forget(id);
+		this.stateCache.clear(id);
+		this.objectRegistry.forget(id);
 		try {
 			await this.delObjectAsync(id, options);
 		} catch (e) {
@@ -272,8 +307,8 @@ class SchlueterThermostat extends utils.Adapter {
 	// Small helpers
 	// ============================================================================
 
-	_getTzSecFromThermostat(thermostatId, t) {
-		const cached = this.thermostatTimeZoneSec[thermostatId];
+	_getTzSecFromThermostat(devId, t) {
+		const cached = this.thermostatTimeZoneSec[devId];
 		if (Number.isFinite(cached)) {
 			return cached;
 		}
@@ -286,20 +321,61 @@ class SchlueterThermostat extends utils.Adapter {
 		return 0;
 	}
 
-	async _getSerialFromObject(groupId, thermostatId) {
-		const oid = `groups.${safeId(groupId)}.thermostats.${safeId(thermostatId)}`;
+	async _getSerialFromObject({ accountId, groupId, thermostatId }) {
+		const oid = thermostatDevId(accountId, groupId, thermostatId);
 		const obj = await this.safeGetObject(oid);
 		return obj?.native?.serialNumber ? String(obj.native.serialNumber) : '';
 	}
 
-	async _isThermostatOnline(groupId, thermostatId) {
-		// Prefer cache from poll (exact ThermostatId key, not safeId)
-		if (typeof this.lastOnline[thermostatId] === 'boolean') {
-			return this.lastOnline[thermostatId];
+	/**
+	 * Resolves a thermostat by ThermostatId or SerialNumber from the poll caches.
+	 * accountId / groupId narrow the search; a ThermostatId known in several
+	 * accounts needs the accountId.
+	 *
+	 * @param {{accountId?: string, groupId?: string|number, thermostatId?: string|number, serial?: string}} ref thermostat reference
+	 * @returns {{thermostatId: string, groupId: string, accountId: string, serial: string, name: string, devPrefix: string}} resolved thermostat
+	 */
+	findThermostat(ref) {
+		const wantedId = ref?.thermostatId !== undefined ? String(ref.thermostatId) : '';
+		const wantedSerial = ref?.serial !== undefined ? String(ref.serial) : '';
+		const wantedAccount = ref?.accountId !== undefined ? String(ref.accountId) : null;
+		const wantedGroup = ref?.groupId !== undefined ? String(ref.groupId) : null;
+
+		const found = Object.entries(this.thermostatRef).filter(([devId, th]) => {
+			const serial = this.thermostatSerial[devId];
+			return (
+				serial &&
+				((wantedId && th.thermostatId === wantedId) || (wantedSerial && serial === wantedSerial)) &&
+				(wantedAccount === null || th.accountId === wantedAccount) &&
+				(wantedGroup === null || th.groupId === wantedGroup)
+			);
+		});
+		const what = `thermostatId=${wantedId || '-'}, serial=${wantedSerial || '-'}`;
+		if (!found.length) {
+			throw new Error(`Unknown thermostat (${what})`);
+		}
+		if (found.length > 1) {
+			throw new Error(`Thermostat (${what}) is known in several accounts, please give its accountId`);
+		}
+		const [devId, { accountId, groupId, thermostatId }] = found[0];
+		return {
+			thermostatId,
+			groupId,
+			accountId,
+			serial: this.thermostatSerial[devId],
+			name: this.thermostatNameCache[devId] || `Thermostat ${thermostatId}`,
+			devPrefix: devId,
+		};
+	}
+
+	async _isThermostatOnline({ accountId, groupId, thermostatId }) {
+		// Prefer cache from poll
+		const devId = thermostatDevId(accountId, groupId, thermostatId);
+		if (typeof this.lastOnline[devId] === 'boolean') {
+			return this.lastOnline[devId];
 		}
 
 		// Fallback: read state once
-		const devId = `groups.${safeId(groupId)}.thermostats.${safeId(thermostatId)}`;
 		try {
 			const st = await this.getStateAsync(`${devId}.online`);
 			if (st && typeof st.val === 'boolean') {
@@ -311,6 +387,24 @@ class SchlueterThermostat extends utils.Adapter {
 		return false;
 	}
 
+	getAccount(accountId) {
+		return this.accounts.find(acc => acc.id === (accountId || '')) || null;
+	}
+
+	// info.connection of the account; without primary account the instance's
+	// info.connection shows whether all accounts are connected
+	_setConnection(acc, connected) {
+		acc.connected = connected;
+		this.safeSetState(`${acc.prefix}info.connection`, connected, true);
+		if (acc.id && !this.getAccount('')) {
+			this.safeSetState(
+				'info.connection',
+				this.accounts.every(a => a.connected),
+				true,
+			);
+		}
+	}
+
 	// ============================================================================
 	// ON READY
 	// ============================================================================
@@ -325,95 +419,222 @@ class SchlueterThermostat extends utils.Adapter {
 	}
 
 	onMessage(obj) {
-		if (!this.deviceManagement || !obj) {
+		if (!obj) {
+			return;
+		}
+		// Device Manager messages are prefixed with "dm:", everything else is ours
+		if (String(obj.command || '').startsWith('dm:')) {
+			this.deviceManagement?.handleAdapterMessage(obj);
 			return;
 		}
-		this.deviceManagement.handleAdapterMessage(obj);
+		this.messageRouter(obj).catch(e => this.log.warn(`onMessage(${obj.command}) failed: ${e?.message || e}`));
 	}
 
 	async onReady() {
 		this.log.info('onReady(): starting adapter');
 		this.safeSetState('info.connection', false, true);
 
-		if (!this.config.username || !this.config.password || !this.config.apiKey || !this.config.customerId) {
-			this.log.error('Missing config (username/password/apiKey/customerId).');
-			return;
+		// Poll interval: min 10 seconds; clamp to Node max delay
+		const MAX_TIMER_MS = 2147483647;
+		const intervalSecRaw = Number(this.config.pollIntervalSec);
+		const intervalSec = Number.isFinite(intervalSecRaw) ? intervalSecRaw : 60;
+		const intervalMs = Math.min(MAX_TIMER_MS, Math.max(10_000, Math.trunc(intervalSec * 1000)));
+
+		this.accounts = accountsFromConfig(this);
+		for (const acc of this.accounts) {
+			acc.baseIntervalMs = intervalMs;
+			acc.currentIntervalMs = intervalMs;
+		}
+		if (this.accounts.length > 1) {
+			this.log.info(`Cloud accounts: ${this.accounts.map(acc => acc.name || 'primary').join(', ')}`);
+		}
+		if (this.config.tlsInsecure === true) {
+			this.log.warn('TLS certificate verification is disabled (tlsInsecure), use only for testing');
 		}
 
-		this.client = new OJClient({
-			log: this.log,
-			baseUrlOwd5: this.config.baseUrlOwd5,
-			baseUrlOcd5: this.config.baseUrlOcd5,
-			username: this.config.username,
-			password: this.config.password,
-			apiKey: this.config.apiKey,
-			customerId: Number(this.config.customerId),
-		});
+		// Cleanup legacy object tree from old versions (optional via config)
+		if (this.config.legacyCleanup === true) {
+			await this.legacyCleanup();
+		} else {
+			this.log.debug('legacyCleanup(): disabled by config');
+		}
+
+		await this.offlineQueue.restore();
+
+		// Subscribe all writable states under apply folders (buttons + values)
+		this.subscribeStates('groups.*.thermostats.*.apply.*.*');
+		this.subscribeStates('groups.*.thermostats.*.pending.*.cancel');
+		if (this.accounts.some(acc => acc.id)) {
+			this.subscribeStates('accounts.*.groups.*.thermostats.*.apply.*.*');
+			this.subscribeStates('accounts.*.groups.*.thermostats.*.pending.*.cancel');
+		}
+
+		// energy runs on its own timer; accounts still logging in are skipped (paused)
+		this.energyScheduler.start();
+
+		// accounts run independently (a failing login does not delay the others)
+		await Promise.all(this.accounts.map(acc => this.startAccount(acc)));
+	}
+
+	/**
+	 * Creates the client of one account, logs in (with retry), polls once and
+	 * starts its fallback polling.
+	 *
+	 * @param {CloudAccount} acc cloud account
+	 */
+	async startAccount(acc) {
+		await ensureAccountObjects(this, acc);
+		if (acc.id) {
+			this._setConnection(acc, false);
+		}
+
+		const config = accountConfig(this, acc);
+		const missing = missingFields(config);
+		if (missing.length) {
+			const msg = `Missing config (${missing.join('/')})`;
+			this.log.error(`${acc.tag}${msg}.`);
+			this.safeSetState(`${acc.prefix}info.loginState`, 'rejected', true);
+			this.safeSetState(`${acc.prefix}info.lastLoginError`, msg, true);
+			return;
+		}
 
 		try {
-			this.log.debug('Login: calling OWD5 SignIn');
-			await this.client.login();
-			this.log.debug('Login successful');
-			this.safeSetState('info.connection', true, true);
+			acc.client = new OJClient({ log: this.log, ...clientOptionsFromConfig(config) });
 		} catch (e) {
-			this.log.error(`Login failed: ${e?.message || e}`);
+			// e.g. CA file not readable, invalid proxy URL
+			this.log.error(`${acc.tag}Invalid connection settings: ${e?.message || e}`);
+			this.safeSetState(`${acc.prefix}info.loginState`, 'rejected', true);
+			this.safeSetState(`${acc.prefix}info.lastLoginError`, String(e?.message || e), true);
 			return;
 		}
 
-		await ensureContainer(this, 'groups', 'folder', 'Groups');
+		if (!(await this.loginWithRetry(acc))) {
+			return;
+		}
 
-		// Cleanup legacy object tree from old versions (optional via config)
-		if (this.config.legacyCleanup === true) {
-			await this.legacyCleanup();
-		} else {
-			this.log.debug('legacyCleanup(): disabled by config');
+		await ensureContainer(this, `${acc.prefix}groups`, 'folder', 'Groups');
+		await this.pollOnce(acc);
+		this._scheduleNextPoll(acc);
+	}
+
+	// ============================================================================
+	// STARTUP LOGIN (retry with backoff)
+	// ============================================================================
+
+	/**
+	 * Logs in, retrying temporary failures with the fallback-polling backoff
+	 * (interval doubles up to 1h, then 12:00/00:00). A login refused with
+	 * HTTP 401 / 403 or a credentials / API key ErrorCode is not retried, so the
+	 * cloud account is not locked by repeated attempts; unknown body ErrorCodes
+	 * go through the backoff.
+	 *
+	 * @param {CloudAccount} acc cloud account
+	 * @returns {Promise<boolean>} true once logged in, false if rejected or stopping
+	 */
+	async loginWithRetry(acc) {
+		const client = acc.client;
+		if (!client) {
+			return false;
 		}
 
-		// Poll interval: min 10 seconds; clamp to Node max delay
-		const MAX_TIMER_MS = 2147483647;
-		const intervalSecRaw = Number(this.config.pollIntervalSec);
-		const intervalSec = Number.isFinite(intervalSecRaw) ? intervalSecRaw : 60;
-		const intervalMs = Math.min(MAX_TIMER_MS, Math.max(10_000, Math.trunc(intervalSec * 1000)));
+		let attempt = 0;
+		let delayMs = acc.baseIntervalMs;
 
-		this.baseIntervalMs = intervalMs;
-		this.currentIntervalMs = intervalMs;
+		while (!this.unloading) {
+			attempt++;
+			this.safeSetState(`${acc.prefix}info.loginState`, 'loggingIn', true);
+			try {
+				this.log.debug(`${acc.tag}Login: calling OWD5 SignIn (attempt ${attempt})`);
+				await client.login();
+				this.log.debug(`${acc.tag}Login successful`);
+				this.safeSetState(`${acc.prefix}info.loginState`, 'loggedIn', true);
+				this.safeSetState(`${acc.prefix}info.lastLoginError`, '', true);
+				this._setConnection(acc, true);
+				return true;
+			} catch (e) {
+				const msg = String(e?.message || e);
+				this.safeSetState(`${acc.prefix}info.lastLoginError`, msg, true);
+
+				// no session yet, so an auth error means username/password/API key were refused
+				if (e instanceof OJAuthError) {
+					this.log.error(
+						`${acc.tag}Login rejected, not retrying (check username, password, API key): ${msg}`,
+					);
+					this.safeSetState(`${acc.prefix}info.loginState`, 'rejected', true);
+					if (this.config.notifyOnCloudOffline !== false) {
+						sendNotification(
+							this,
+							`⚠️ ${acc.tag}Cloud login rejected, please check the credentials: ${msg}`,
+						).catch(() => {});
+					}
+					return false;
+				}
 
-		await this.pollOnce();
+				// first retry after the poll interval, then doubled up to 1h, then 12:00/00:00
+				const waitMs = delayMs >= BACKOFF_MAX_MS ? this._msUntilNextFixedSlot() : delayMs;
+				delayMs = Math.min(delayMs * 2, BACKOFF_MAX_MS);
+				this.safeSetState(`${acc.prefix}info.loginState`, 'retrying', true);
+				this.log.warn(
+					`${acc.tag}Login failed (attempt ${attempt}), retrying in ${Math.round(waitMs / 1000)}s: ${msg}`,
+				);
+
+				// notify once; the first successful poll then reports the recovery
+				if (attempt === this.POLL_FAIL_THRESHOLD && !acc.warnedNoCloud) {
+					acc.warnedNoCloud = true;
+					if (this.config.notifyOnCloudOffline !== false) {
+						sendNotification(
+							this,
+							`⚠️ ${acc.tag}Cloud login failed ${attempt}x, still retrying. Last error: ${msg}`,
+						).catch(() => {});
+					}
+				}
 
-		// Subscribe all writable states under apply folders (buttons + values)
-		this.subscribeStates('groups.*.thermostats.*.apply.*.*');
+				await this._waitForLoginRetry(acc, waitMs);
+			}
+		}
+		return false;
+	}
 
-		this._scheduleNextPoll();
+	_waitForLoginRetry(acc, ms) {
+		return new Promise(resolve => {
+			acc._wakeLoginRetry = resolve;
+			acc.loginRetryTimer = this.setTimeout(() => {
+				acc.loginRetryTimer = null;
+				resolve(undefined);
+			}, ms);
+		});
 	}
 
 	// ============================================================================
 	// FALLBACK POLLING
 	// ============================================================================
 
-	_scheduleNextPoll() {
+	_scheduleNextPoll(acc) {
 		if (this.unloading) {
 			return;
 		}
 
 		let delayMs;
 
-		if (this.inFixedSchedule) {
+		if (acc.inFixedSchedule) {
 			delayMs = this._msUntilNextFixedSlot();
 			const nextTime = new Date(Date.now() + delayMs);
 			this.log.info(
-				`Fallback polling: next poll at fixed slot ${nextTime.toISOString()} (in ${Math.round(delayMs / 60000)} min)`,
+				`${acc.tag}Fallback polling: next poll at fixed slot ${nextTime.toISOString()} (in ${Math.round(delayMs / 60000)} min)`,
+			);
+		} else if (acc.currentIntervalMs > acc.baseIntervalMs) {
+			delayMs = acc.currentIntervalMs;
+			this.log.info(
+				`${acc.tag}Fallback polling: interval increased to ${Math.round(acc.currentIntervalMs / 1000)}s`,
 			);
-		} else if (this.currentIntervalMs > this.baseIntervalMs) {
-			delayMs = this.currentIntervalMs;
-			this.log.info(`Fallback polling: interval increased to ${Math.round(this.currentIntervalMs / 1000)}s`);
 		} else {
-			delayMs = this.currentIntervalMs;
+			delayMs = acc.currentIntervalMs;
 		}
 
-		this.pollTimer = this.setTimeout(() => {
-			this.pollOnce()
-				.catch(err => this.log.warn(`Poll error: ${err?.message || err}`))
-				.finally(() => this._scheduleNextPoll());
+		acc.pollTimer = this.setTimeout(() => {
+			this.pollOnce(acc)
+				.catch(err => this.log.warn(`${acc.tag}Poll error: ${err?.message || err}`))
+				.finally(() => this._scheduleNextPoll(acc));
 		}, delayMs);
 	}
 
@@ -447,88 +668,133 @@ class SchlueterThermostat extends utils.Adapter {
 		return 12 * 60 * 60 * 1000;
 	}
 
-	_increasePollBackoff() {
-		if (this.inFixedSchedule) {
+	_increasePollBackoff(acc) {
+		if (acc.inFixedSchedule) {
 			return; // already at maximum fallback level
 		}
 
-		if (this.currentIntervalMs >= BACKOFF_MAX_MS) {
+		if (acc.currentIntervalMs >= BACKOFF_MAX_MS) {
 			// Reached 1h ceiling – switch to fixed 12:00/00:00 schedule
-			this.inFixedSchedule = true;
+			acc.inFixedSchedule = true;
 			this.log.warn(
-				'Fallback polling: max backoff reached (1h). Switching to fixed schedule (next poll at 12:00 or 00:00).',
+				`${acc.tag}Fallback polling: max backoff reached (1h). Switching to fixed schedule (next poll at 12:00 or 00:00).`,
 			);
 		} else {
 			// Double the interval, cap at 1h
-			this.currentIntervalMs = Math.min(this.currentIntervalMs * 2, BACKOFF_MAX_MS);
+			acc.currentIntervalMs = Math.min(acc.currentIntervalMs * 2, BACKOFF_MAX_MS);
 		}
 	}
 
-	_resetPollInterval() {
-		if (this.currentIntervalMs !== this.baseIntervalMs || this.inFixedSchedule) {
+	_resetPollInterval(acc) {
+		if (acc.currentIntervalMs !== acc.baseIntervalMs || acc.inFixedSchedule) {
 			this.log.info(
-				`Fallback polling: device(s) reachable, resetting interval to ${Math.round(this.baseIntervalMs / 1000)}s`,
+				`${acc.tag}Fallback polling: device(s) reachable, resetting interval to ${Math.round(acc.baseIntervalMs / 1000)}s`,
 			);
 		}
-		this.currentIntervalMs = this.baseIntervalMs;
-		this.inFixedSchedule = false;
+		acc.currentIntervalMs = acc.baseIntervalMs;
+		acc.inFixedSchedule = false;
 	}
 
 	// ============================================================================
 	// POLL
 	// ============================================================================
 
-	async pollOnce() {
-		this.log.debug('pollOnce(): polling GroupContents from cloud');
-		if (this.unloading || this.pollInFlight) {
+	/**
+	 * Polls GroupContents of one account and updates its thermostats.
+	 *
+	 * @param {CloudAccount} acc cloud account
+	 */
+	async pollOnce(acc) {
+		this.log.debug(`${acc.tag}pollOnce(): polling GroupContents from cloud`);
+		if (this.unloading || acc.pollInFlight) {
 			return;
 		}
 
-		const client = this.client;
+		// never overlap with a targeted refresh
+		while (acc.refreshPromise) {
+			await acc.refreshPromise;
+		}
+		if (this.unloading || acc.pollInFlight) {
+			return;
+		}
+
+		const client = acc.client;
 		if (!client) {
 			return;
 		}
 
-		this.pollInFlight = true;
-		this._anyOnlineThisPoll = false;
-		this._hadThermostatsThisPoll = false;
+		acc.pollInFlight = true;
+		acc._anyOnlineThisPoll = false;
+		acc._hadThermostatsThisPoll = false;
+
+		// aborted by the watchdog: cancels the GroupContents read, a released poll writes nothing more
+		const poll = new AbortController();
+		const released = () => this.unloading || poll.signal.aborted;
 
-		this.pollPromise = (async () => {
-			const data = await client.getGroupContents();
+		const work = (async () => {
+			const data = await client.getGroupContents({ signal: poll.signal });
+			if (released()) {
+				return;
+			}
 			const groups = Array.isArray(data?.GroupContents) ? data.GroupContents : [];
 
 			// success: mark connected + reset fail counters
-			const wasDisconnected = this.warnedNoCloud;
-			this.safeSetState('info.connection', true, true);
-			this.pollFailCount = 0;
-			this.warnedNoCloud = false;
+			const wasDisconnected = acc.warnedNoCloud;
+			this._setConnection(acc, true);
+			acc.pollFailCount = 0;
+			acc.warnedNoCloud = false;
 			if (wasDisconnected && this.config.notifyOnCloudRecovered !== false) {
-				sendNotification(this, '✅ Cloud connection recovered.').catch(() => {});
+				sendNotification(this, `✅ ${acc.tag}Cloud connection recovered.`).catch(() => {});
 			}
 
 			for (const group of groups) {
-				if (this.unloading) {
-					break;
+				if (released()) {
+					return;
 				}
 
-				await ensureGroupObjects(this, group);
+				await ensureGroupObjects(this, group, acc.prefix);
 
 				const thermostats = Array.isArray(group?.Thermostats) ? group.Thermostats : [];
 				for (const t of thermostats) {
-					if (this.unloading) {
-						break;
+					if (released()) {
+						return;
 					}
-					await this.upsertThermostat(group, t);
+					await this.upsertThermostat(acc, group, t);
 				}
 			}
+			if (released()) {
+				return;
+			}
+
+			const { written, skipped } = this.stateCache.takeStats(`${acc.prefix}groups.`);
+			this.log.debug(`${acc.tag}pollOnce(): ${written} state(s) written, ${skipped} unchanged`);
 
 			// Evaluate fallback polling after successful poll
-			if (this._anyOnlineThisPoll) {
-				this._resetPollInterval();
-			} else if (this._hadThermostatsThisPoll) {
-				this._increasePollBackoff();
+			if (acc._anyOnlineThisPoll) {
+				this._resetPollInterval(acc);
+			} else if (acc._hadThermostatsThisPoll) {
+				this._increasePollBackoff(acc);
 			}
-		})()
+
+			// Energy of thermostats without data yet, the rest follows the energy schedule
+			await this.energyScheduler.update(acc, { missingOnly: true });
+
+			// Send queued commands of thermostats that are online again
+			if (this.offlineQueue.size()) {
+				await this.offlineQueue.flush(acc.id);
+			}
+		})();
+
+		// watchdog: a poll that never settles must not block polling forever
+		const watchdog = new Promise((_, reject) => {
+			acc.pollWatchdogTimer = this.setTimeout(() => {
+				acc.pollWatchdogTimer = null;
+				poll.abort();
+				reject(new Error(`Poll did not finish within ${Math.round(this.pollWatchdogMs / 1000)}s, released`));
+			}, this.pollWatchdogMs);
+		});
+
+		acc.pollPromise = Promise.race([work, watchdog])
 			.catch(err => {
 				if (this.unloading) {
 					return;
@@ -537,105 +803,176 @@ class SchlueterThermostat extends utils.Adapter {
 				const comm = this._isCommError(err);
 
 				if (comm) {
-					this.pollFailCount += 1;
-					this._increasePollBackoff();
+					acc.pollFailCount += 1;
+					this._increasePollBackoff(acc);
 
-					if (this.pollFailCount >= this.POLL_FAIL_THRESHOLD) {
-						this.safeSetState('info.connection', false, true);
+					if (acc.pollFailCount >= this.POLL_FAIL_THRESHOLD) {
+						this._setConnection(acc, false);
 
-						if (!this.warnedNoCloud) {
+						if (!acc.warnedNoCloud) {
 							this.log.warn(
-								`Cloud communication failed ${this.pollFailCount}x. Adapter set info.connection=false. Last error: ${err?.message || err}`,
+								`${acc.tag}Cloud communication failed ${acc.pollFailCount}x. Adapter set info.connection=false. Last error: ${err?.message || err}`,
 							);
-							this.warnedNoCloud = true;
+							acc.warnedNoCloud = true;
 							if (this.config.notifyOnCloudOffline !== false) {
 								sendNotification(
 									this,
-									`⚠️ Cloud connection lost (${this.pollFailCount} failures). Last error: ${err?.message || err}`,
+									`⚠️ ${acc.tag}Cloud connection lost (${acc.pollFailCount} failures). Last error: ${err?.message || err}`,
 								).catch(() => {});
 							}
 						} else {
 							this.log.debug(
-								`Cloud communication still failing (${this.pollFailCount}x): ${err?.message || err}`,
+								`${acc.tag}Cloud communication still failing (${acc.pollFailCount}x): ${err?.message || err}`,
 							);
 						}
 					} else {
 						this.log.warn(
-							`Cloud poll failed (${this.pollFailCount}/${this.POLL_FAIL_THRESHOLD}): ${err?.message || err}`,
+							`${acc.tag}Cloud poll failed (${acc.pollFailCount}/${this.POLL_FAIL_THRESHOLD}): ${err?.message || err}`,
 						);
 					}
 				} else {
-					this.log.warn(`Poll error (non-comm): ${err?.message || err}`);
+					this.log.warn(`${acc.tag}Poll error (non-comm): ${err?.message || err}`);
+				}
+			})
+			.finally(() => {
+				if (acc.pollWatchdogTimer) {
+					this.clearTimeout(acc.pollWatchdogTimer);
+					acc.pollWatchdogTimer = null;
+				}
+				acc.pollInFlight = false;
+			});
+
+		return acc.pollPromise;
+	}
+
+	// ============================================================================
+	// TARGETED REFRESH (after apply)
+	// ============================================================================
+
+	_requestRefresh(acc, thermostatId) {
+		acc.refreshPending.add(String(thermostatId));
+		if (acc.refreshTimer || this.unloading) {
+			return; // applies within the delay share one refresh
+		}
+		acc.refreshTimer = this.setTimeout(() => {
+			acc.refreshTimer = null;
+			this.refreshThermostats(acc).catch(err => this.log.debug(`Refresh error: ${err?.message || err}`));
+		}, this.refreshDelayMs);
+	}
+
+	/**
+	 * Re-reads GroupContents and updates only the thermostats waiting for a refresh.
+	 * Runs after an in-flight poll, failures do not count for info.connection or the
+	 * fallback backoff (the next regular poll takes care of that).
+	 *
+	 * @param {CloudAccount} acc cloud account
+	 * @param {object} [data] GroupContents already read (write verification), no new read
+	 */
+	async refreshThermostats(acc, data) {
+		while (acc.refreshPromise || (acc.pollInFlight && acc.pollPromise)) {
+			await (acc.refreshPromise || acc.pollPromise);
+		}
+		const client = acc.client;
+		if (this.unloading || !client || !acc.refreshPending.size) {
+			return;
+		}
+
+		const ids = new Set(acc.refreshPending);
+		acc.refreshPending.clear();
+
+		acc.refreshPromise = (async () => {
+			const contents = data || (await client.getGroupContents());
+			for (const group of Array.isArray(contents?.GroupContents) ? contents.GroupContents : []) {
+				for (const t of Array.isArray(group?.Thermostats) ? group.Thermostats : []) {
+					if (this.unloading) {
+						return;
+					}
+					if (ids.has(String(t?.Id ?? ''))) {
+						await this.upsertThermostat(acc, group, t);
+					}
+				}
+			}
+			this.log.debug(`${acc.tag}Refreshed ${ids.size} thermostat(s) after apply`);
+		})()
+			.catch(err => {
+				if (!this.unloading) {
+					this.log.debug(`${acc.tag}Refresh after apply failed: ${err?.message || err}`);
 				}
 			})
 			.finally(() => {
-				this.pollInFlight = false;
+				acc.refreshPromise = null;
 			});
 
-		return this.pollPromise;
+		return acc.refreshPromise;
 	}
 
 	// ============================================================================
 	// UPSERT: THERMOSTAT
 	// ============================================================================
 
-	async upsertThermostat(group, t) {
+	async upsertThermostat(acc, group, t) {
 		const groupId = String(group?.GroupId ?? '');
 		const thermostatId = String(t?.Id ?? '');
 		if (!groupId || !thermostatId) {
 			return;
 		}
 
-		const devId = `groups.${safeId(groupId)}.thermostats.${safeId(thermostatId)}`;
+		const devId = thermostatDevId(acc.id, groupId, thermostatId);
 
 		// Cache mappings
 		const serial = t?.SerialNumber ? String(t.SerialNumber) : '';
 		if (serial) {
-			this.thermostatSerial[thermostatId] = serial;
+			this.thermostatSerial[devId] = serial;
 		}
-		this.thermostatGroup[thermostatId] = groupId;
+		this.thermostatRef[devId] = { accountId: acc.id, groupId, thermostatId };
 
 		const thermostatName = String(t?.ThermostatName || `Thermostat ${thermostatId}`);
-		this.thermostatNameCache[thermostatId] = thermostatName;
+		this.thermostatNameCache[devId] = thermostatName;
 
 		// TimeZone seconds (finite!)
-		const tzSec = this._getTzSecFromThermostat(thermostatId, t);
-		this.thermostatTimeZoneSec[thermostatId] = tzSec;
+		const tzSec = this._getTzSecFromThermostat(devId, t);
+		this.thermostatTimeZoneSec[devId] = tzSec;
+		this.thermostatData[devId] = t;
 
 		// Ensure objects
-		await ensureThermostatObjects(this, devId, { groupId, thermostatId, serialNumber: serial }, thermostatName);
+		const native = { groupId, thermostatId, serialNumber: serial, ...(acc.id ? { accountId: acc.id } : {}) };
+		await ensureThermostatObjects(this, devId, native, thermostatName);
 		await ensureApplyObjects(this, devId);
 
 		// Delete legacy direct-write states once
 		await this.deleteOldWritableStates(devId);
 
+		// Changed-value cache: decides whether this poll rewrites unchanged values
+		this.stateCache.nextPoll(devId);
+
 		// Track online status for fallback polling
 		const onlineNow = Boolean(t?.Online);
-		this._hadThermostatsThisPoll = true;
+		acc._hadThermostatsThisPoll = true;
 		if (onlineNow) {
-			this._anyOnlineThisPoll = true;
+			acc._anyOnlineThisPoll = true;
 		}
 
 		// Online transition warning (once)
-		const prevOnline = this.lastOnline[thermostatId];
-		if (prevOnline === true && onlineNow === false && !this.warnedOffline[thermostatId]) {
-			const gName = this.groupNameCache[groupId] || `Group ${groupId}`;
-			this.log.warn(`Thermostat OFFLINE: ${gName} / ${thermostatName} (ThermostatId=${thermostatId})`);
-			this.warnedOffline[thermostatId] = true;
+		const prevOnline = this.lastOnline[devId];
+		const groupDev = groupDevId(acc.id, groupId);
+		if (prevOnline === true && onlineNow === false && !this.warnedOffline[devId]) {
+			const gName = this.groupNameCache[groupDev] || `Group ${groupId}`;
+			this.log.warn(`${acc.tag}Thermostat OFFLINE: ${gName} / ${thermostatName} (ThermostatId=${thermostatId})`);
+			this.warnedOffline[devId] = true;
 			if (this.config.notifyOnThermostatOffline !== false) {
-				sendNotification(this, `⚠️ Thermostat offline: ${gName} / ${thermostatName}`).catch(() => {});
+				sendNotification(this, `⚠️ ${acc.tag}Thermostat offline: ${gName} / ${thermostatName}`).catch(() => {});
 			}
 		}
 		if (onlineNow === true && prevOnline === false) {
 			if (this.config.notifyOnThermostatOnline !== false) {
-				const gName = this.groupNameCache[groupId] || `Group ${groupId}`;
-				sendNotification(this, `✅ Thermostat online: ${gName} / ${thermostatName}`).catch(() => {});
+				const gName = this.groupNameCache[groupDev] || `Group ${groupId}`;
+				sendNotification(this, `✅ ${acc.tag}Thermostat online: ${gName} / ${thermostatName}`).catch(() => {});
 			}
 		}
 		if (onlineNow === true) {
-			this.warnedOffline[thermostatId] = false;
+			this.warnedOffline[devId] = false;
 		}
-		this.lastOnline[thermostatId] = onlineNow;
+		this.lastOnline[devId] = onlineNow;
 
 		// Incoming EndTimes shown as thermostat-local no-Z
 		const comfortEndLocal = toThermostatLocalNoZFromAny(t?.ComfortEndTime || '', tzSec);
@@ -643,20 +980,13 @@ class SchlueterThermostat extends utils.Adapter {
 
 		// Write read-only states
 		await writeThermostatStates(this, devId, t, { comfortEndLocal, boostEndLocal });
+		writeStatusStates(this, devId, computeThermostatStatus(t, { tzSec, comfortEndLocal, boostEndLocal }));
 
 		// Non-destructive prefill of apply.*
 		await prefillApplyNonDestructive(this, devId, t);
 
 		// Schedule
-		await writeScheduleStates(this, devId, t?.Schedule);
-
-		// Energy
-		if (this.client && serial) {
-			await writeEnergyStates(this, devId, serial, {
-				history: Number(this.config.energyHistory) || 0,
-				viewType: Number(this.config.energyViewType) || 2,
-			});
-		}
+		await writeScheduleStates(this, devId, t?.Schedule, { thermostatName, serialNumber: serial });
 	}
 
 	// ============================================================================
@@ -671,91 +1001,186 @@ class SchlueterThermostat extends utils.Adapter {
 			return;
 		}
 
+		// Cancel a queued offline command (pending.<mode>.cancel)
+		if (id.includes('.pending.') && id.endsWith('.cancel')) {
+			await this.offlineQueue.cancel(id.slice(this.namespace.length + 1, -'.cancel'.length));
+			return;
+		}
+
 		// Writable value states (e.g. setpoint, durationMinutes): acknowledge receipt
 		if (!id.endsWith('.apply')) {
 			this.safeSetState(id, { val: state.val, ack: true });
 			return;
 		}
 
-		const client = this.client;
-		if (!client) {
+		const parts = id.split('.');
+		const idxG = parts.indexOf('groups');
+		const idxT = parts.indexOf('thermostats');
+		const idxApply = parts.indexOf('apply');
+		if (idxG === -1 || idxT === -1 || idxApply === -1) {
 			return;
 		}
 
 		try {
-			const conn = await this.getStateAsync('info.connection');
+			await this.executeApply({
+				accountId: accountIdOf(id),
+				groupId: parts[idxG + 1],
+				thermostatId: parts[idxT + 1],
+				modeFolder: parts[idxApply + 1],
+				id,
+			});
+		} finally {
+			this.safeSetState(id, { val: false, ack: true });
+		}
+	}
+
+	/**
+	 * Runs one apply command for a thermostat (used by apply buttons and sendTo commands).
+	 * Writes are blocked without cloud connection, for offline thermostats and unknown serials
+	 * and are serialized per thermostat by the command queue.
+	 * The outcome is recorded in apply.<mode>.lastResult / lastError / lastAppliedAt / lastPayload.
+	 *
+	 * @param {{accountId?: string, groupId: string, thermostatId: string, modeFolder: string, id: string, values?: object, fromQueue?: boolean}} ctx apply context (values: stored inputs of a queued command)
+	 * @returns {Promise<{result: 'success'|'blocked'|'queued'|'superseded'|'error', error?: string, payload?: object}>} outcome of the apply
+	 */
+	async executeApply(ctx) {
+		const res = await this._runApply(ctx);
+
+		// lastResult / lastError / lastAppliedAt / lastPayload of the apply folder
+		if (APPLY_FOLDERS.includes(ctx.modeFolder)) {
+			const base = `${thermostatDevId(ctx.accountId, ctx.groupId, ctx.thermostatId)}.apply.${ctx.modeFolder}`;
+			this.safeSetState(`${base}.lastResult`, { val: res.result, ack: true });
+			this.safeSetState(`${base}.lastError`, { val: res.error || '', ack: true });
+			this.safeSetState(`${base}.lastAppliedAt`, { val: Date.now(), ack: true });
+			if (res.payload) {
+				this.safeSetState(`${base}.lastPayload`, { val: JSON.stringify(res.payload), ack: true });
+			}
+		}
+		return res;
+	}
+
+	/**
+	 * Apply blocked by connectivity: keep it in the offline queue if enabled
+	 * (not for commands that come from the queue themselves).
+	 *
+	 * @param {{accountId: string, groupId: string, thermostatId: string, modeFolder: string, fromQueue: boolean}} ctx apply context
+	 * @param {string} reason why the apply cannot be sent now
+	 * @returns {Promise<{result: 'blocked'|'queued', error: string}>} outcome for apply.<mode>.lastResult
+	 */
+	async _blockOrQueue({ accountId, groupId, thermostatId, modeFolder, fromQueue }, reason) {
+		if (!this.offlineQueue.enabled || fromQueue) {
+			return { result: 'blocked', error: reason };
+		}
+		await this.offlineQueue.add({ accountId, groupId, thermostatId, modeFolder }, reason);
+		return { result: 'queued', error: reason };
+	}
+
+	/**
+	 * Guards and apply router call behind executeApply.
+	 *
+	 * @param {{accountId?: string, groupId: string, thermostatId: string, modeFolder: string, id: string, values?: object, fromQueue?: boolean}} ctx apply context
+	 * @returns {Promise<{result: 'success'|'blocked'|'queued'|'superseded'|'error', error?: string, payload?: object}>} outcome of the apply
+	 */
+	async _runApply({ accountId = '', groupId, thermostatId, modeFolder, id, values = undefined, fromQueue = false }) {
+		const acc = this.getAccount(accountId);
+		const client = acc?.client;
+		if (!acc || !client) {
+			return { result: 'blocked', error: 'Adapter not connected' };
+		}
+		const ref = { accountId, groupId, thermostatId, modeFolder, fromQueue };
+
+		try {
+			const conn = await this.getStateAsync(`${acc.prefix}info.connection`);
 			if (!conn || conn.val !== true) {
-				if (!this.warnedNoCloud) {
+				if (!acc.warnedNoCloud) {
 					this.log.warn(`Write blocked: no cloud connection (info.connection=false) id=${id}`);
-					this.warnedNoCloud = true;
+					acc.warnedNoCloud = true;
 				}
-				this.safeSetState(id, { val: false, ack: true });
-				return;
+				return this._blockOrQueue(ref, 'No cloud connection');
 			}
 		} catch {
 			// If we cannot read info.connection, be safe and block
 			this.log.warn(`Write blocked: unable to read info.connection id=${id}`);
-			this.safeSetState(id, { val: false, ack: true });
-			return;
-		}
-
-		const parts = id.split('.');
-		const idxG = parts.indexOf('groups');
-		const idxT = parts.indexOf('thermostats');
-		const idxApply = parts.indexOf('apply');
-		if (idxG === -1 || idxT === -1 || idxApply === -1) {
-			return;
+			return { result: 'blocked', error: 'Unable to read info.connection' };
 		}
 
-		const groupId = parts[idxG + 1];
-		const thermostatId = parts[idxT + 1];
-		const modeFolder = parts[idxApply + 1];
-
 		// block writes if thermostat offline
-		const online = await this._isThermostatOnline(groupId, thermostatId);
+		const online = await this._isThermostatOnline(ref);
 		if (!online) {
 			this.log.warn(`Write blocked: thermostat offline (ThermostatId=${thermostatId}) id=${id}`);
-			this.safeSetState(id, { val: false, ack: true });
-			return;
+			return this._blockOrQueue(ref, 'Thermostat offline');
 		}
 
+		const devPrefix = thermostatDevId(accountId, groupId, thermostatId);
+
 		// SerialNumber for writes (cache -> object fallback)
-		let serial = this.thermostatSerial[thermostatId];
+		let serial = this.thermostatSerial[devPrefix];
 		if (!serial) {
-			serial = await this._getSerialFromObject(groupId, thermostatId);
+			serial = await this._getSerialFromObject(ref);
 			if (serial) {
-				this.thermostatSerial[thermostatId] = serial;
+				this.thermostatSerial[devPrefix] = serial;
+				this.thermostatRef[devPrefix] = {
+					accountId,
+					groupId: String(groupId),
+					thermostatId: String(thermostatId),
+				};
 			}
 		}
 		if (!serial) {
 			this.log.warn(`Apply ignored: SerialNumber unknown for thermostat ${thermostatId}.`);
-			this.safeSetState(id, { val: false, ack: true });
-			return;
+			return { result: 'blocked', error: 'SerialNumber unknown' };
 		}
 
-		const devPrefix = `groups.${safeId(groupId)}.thermostats.${safeId(thermostatId)}`;
-		const baseName = this.thermostatNameCache[thermostatId] || `Thermostat ${thermostatId}`;
+		const baseName = this.thermostatNameCache[devPrefix] || `Thermostat ${thermostatId}`;
 
 		try {
-			await this.applyRouter({
+			const payload = await this.applyRouter({
 				modeFolder,
 				id,
+				client,
 				devPrefix,
 				serial,
-				thermostatId, // IMPORTANT for TZ-based EndTime send
+				thermostatId,
 				baseName,
+				values,
 			});
+
+			if (payload) {
+				// show the sent values until the refresh reads the real ones
+				writeOptimisticStates(this, devPrefix, payload);
+			}
+			if (payload && this.config.verifyWrites !== false) {
+				// read back until the thermostat reports the sent values (apply.<mode>.confirmation);
+				// every read-back also refreshes the thermostat's states
+				this.writeVerifier.start({
+					client,
+					devPrefix,
+					modeFolder,
+					serial,
+					payload,
+					onRead: data => {
+						acc.refreshPending.add(String(thermostatId));
+						return this.refreshThermostats(acc, data);
+					},
+				});
+			} else if (payload) {
+				this._requestRefresh(acc, thermostatId);
+			}
+			return { result: 'success', payload };
 		} catch (e) {
+			if (e instanceof CommandSupersededError) {
+				this.log.info(`Apply ${id} superseded by a newer mode change`);
+				return { result: 'superseded', error: e.message };
+			}
 			const comm = this._isCommError(e);
 			this.log.error(`Apply failed for ${id}: ${e?.message || e}`);
 
 			if (comm) {
 				// on communication error, set connection false
-				this.safeSetState('info.connection', false, true);
-				this.warnedNoCloud = false;
+				this._setConnection(acc, false);
+				acc.warnedNoCloud = false;
 			}
-		} finally {
-			this.safeSetState(id, { val: false, ack: true });
+			return { result: 'error', error: String(e?.message || e) };
 		}
 	}
 
@@ -768,14 +1193,36 @@ class SchlueterThermostat extends utils.Adapter {
 			this.log.info('onUnload(): stopping adapter');
 			this.unloading = true;
 
-			if (this.pollTimer) {
-				this.clearTimeout(this.pollTimer);
+			for (const acc of this.accounts) {
+				if (acc.pollTimer) {
+					this.clearTimeout(acc.pollTimer);
+				}
+				if (acc.refreshTimer) {
+					this.clearTimeout(acc.refreshTimer);
+				}
+				if (acc.pollWatchdogTimer) {
+					this.clearTimeout(acc.pollWatchdogTimer);
+				}
+				if (acc.loginRetryTimer) {
+					this.clearTimeout(acc.loginRetryTimer);
+					acc._wakeLoginRetry?.(undefined);
+				}
 			}
+			this.energyScheduler.stop();
+			this.writeVerifier.cancelAll();
+			this.commandQueue.cancelAll();
 
-			// Wait for in-flight poll (best effort)
-			const p = this.pollPromise;
-			if (p) {
-				await Promise.race([p, delay(5000, undefined, { ref: false })]);
+			// cancel in-flight HTTP requests, the polls then settle right away
+			for (const acc of this.accounts) {
+				acc.client?.abort();
+			}
+
+			// Wait for in-flight polls (best effort)
+			const polls = [...this.accounts.map(acc => acc.pollPromise), this.energyScheduler.pending()].filter(
+				Boolean,
+			);
+			if (polls.length) {
+				await Promise.race([Promise.all(polls), delay(5000, undefined, { ref: false })]);
 			}
 
 			callback();
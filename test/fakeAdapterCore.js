@@ -0,0 +1,179 @@
+'use strict';
+
+// Minimal in-memory replacement for @iobroker/adapter-core, just enough to
+// construct the adapter class from main.js and drive it in unit tests.
+
+const { EventEmitter } = require('node:events');
+const path = require('node:path');
+
+class FakeAdapter extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		this.name = options.name;
+		this.namespace = `${options.name}.0`;
+		this.config = { ...(options.config || {}) };
+		this.objects = new Map();
+		this.states = new Map();
+		this.subscriptions = [];
+		this.sentMessages = [];
+		this._timers = new Set();
+
+		const noop = () => {};
+		this.log = {
+			entries: /** @type {Array<{level: string, msg: string}>} */ ([]),
+			debug: noop,
+			info: msg => this.log.entries.push({ level: 'info', msg }),
+			warn: msg => this.log.entries.push({ level: 'warn', msg }),
+			error: msg => this.log.entries.push({ level: 'error', msg }),
+			silly: noop,
+		};
+	}
+
+	_full(id) {
+		return id.startsWith(`${this.namespace}.`) ? id : `${this.namespace}.${id}`;
+	}
+
+	// ---- objects ----------------------------------------------------------
+	async getObjectAsync(id) {
+		const obj = this.objects.get(this._full(id));
+		return obj ? JSON.parse(JSON.stringify(obj)) : null;
+	}
+	async setObjectNotExistsAsync(id, obj) {
+		if (!this.objects.has(this._full(id))) {
+			await this.setObject(id, obj);
+		}
+	}
+	async setObject(id, obj) {
+		const full = this._full(id);
+		this.objects.set(full, { ...JSON.parse(JSON.stringify(obj)), _id: full });
+		return { id: full };
+	}
+	async setObjectAsync(id, obj) {
+		return this.setObject(id, obj);
+	}
+	async extendObjectAsync(id, obj) {
+		const cur = (await this.getObjectAsync(id)) || {};
+		return this.setObject(id, {
+			...cur,
+			...obj,
+			common: { ...(cur.common || {}), ...(obj.common || {}) },
+			native: { ...(cur.native || {}), ...(obj.native || {}) },
+		});
+	}
+	async delObjectAsync(id, options = {}) {
+		const full = this._full(id);
+		for (const key of [...this.objects.keys()]) {
+			if (key === full || (options.recursive && key.startsWith(`${full}.`))) {
+				this.objects.delete(key);
+				this.states.delete(key);
+			}
+		}
+	}
+	async getDevicesAsync() {
+		return [...this.objects.values()].filter(o => o.type === 'device');
+	}
+	async getForeignObjectsAsync(pattern) {
+		const re = new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+		const out = {};
+		for (const [id, obj] of this.objects) {
+			if (re.test(id)) {
+				out[id] = obj;
+			}
+		}
+		return out;
+	}
+
+	// ---- states -----------------------------------------------------------
+	setState(id, val, ack) {
+		const st = val !== null && typeof val === 'object' ? { ...val } : { val, ack };
+		if (st.ack === undefined) {
+			st.ack = ack === true;
+		}
+		const full = this._full(id);
+		this.states.set(full, { ts: Date.now(), q: 0, ...st });
+		if (!st.ack) {
+			this.emit('stateChange', full, this.states.get(full));
+		}
+	}
+	async setStateAsync(id, val, ack) {
+		this.setState(id, val, ack);
+	}
+	async getStateAsync(id) {
+		return this.states.get(this._full(id)) || null;
+	}
+	subscribeStates(pattern) {
+		this.subscriptions.push(pattern);
+	}
+
+	// ---- messaging --------------------------------------------------------
+	async sendToAsync(instance, command, message) {
+		this.sentMessages.push({ instance, command, message });
+		return null;
+	}
+	sendTo(instance, command, message, callback) {
+		this.sentMessages.push({ instance, command, message, callback });
+	}
+	async getForeignStatesAsync() {
+		return {};
+	}
+
+	// ---- encryption (system secret replaced by a fixed key) ---------------
+	encrypt(value) {
+		return this._xor(value);
+	}
+	decrypt(value) {
+		return this._xor(value);
+	}
+	_xor(value) {
+		const secret = 'fake-system-secret';
+		return [...String(value)]
+			.map((ch, i) => String.fromCharCode(secret.charCodeAt(i % secret.length) ^ ch.charCodeAt(0)))
+			.join('');
+	}
+
+	// ---- timers -----------------------------------------------------------
+	setTimeout(fn, ms) {
+		const h = setTimeout(() => {
+			this._timers.delete(h);
+			fn();
+		}, ms);
+		this._timers.add(h);
+		return h;
+	}
+	clearTimeout(h) {
+		clearTimeout(h);
+		this._timers.delete(h);
+	}
+	clearAllTimers() {
+		for (const h of this._timers) {
+			clearTimeout(h);
+		}
+		this._timers.clear();
+	}
+
+	// test helper: value of a state relative to the namespace
+	val(id) {
+		return this.states.get(this._full(id))?.val;
+	}
+}
+
+/**
+ * Loads main.js with adapter-core replaced by the fake and returns a fresh instance.
+ *
+ * @param {object} config adapter config (native)
+ */
+function createAdapter(config) {
+	const corePath = require.resolve('@iobroker/adapter-core');
+	require.cache[corePath] = /** @type {any} */ ({
+		id: corePath,
+		filename: corePath,
+		loaded: true,
+		exports: { Adapter: FakeAdapter },
+	});
+	const mainPath = path.join(__dirname, '..', 'main.js');
+	delete require.cache[mainPath];
+	const factory = require(mainPath);
+	return factory({ config });
+}
+
+module.exports = { FakeAdapter, createAdapter };
@@ -0,0 +1,68 @@
+'use strict';
+
+const { OJSimulator } = require('./oj-simulator');
+const { OJClient } = require('../../lib/oj-client');
+const { createAdapter } = require('../fakeAdapterCore');
+
+// ============================================================================
+// Shared setup of the adapter tests: simulator + fake adapter whose primary
+// account already has a client (not logged in yet)
+//
+//   let sim, adapter, acc;
+//   beforeEach(async () => ({ sim, adapter, acc } = await startSimAdapter()));
+//   afterEach(() => stopSimAdapter({ sim, adapter }));
+// ============================================================================
+
+const quietLog = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(fn, timeoutMs = 2000) {
+	const until = Date.now() + timeoutMs;
+	while (!fn()) {
+		if (Date.now() > until) {
+			throw new Error('waitFor: timeout');
+		}
+		await sleep(5);
+	}
+}
+
+/** Device of the first simulated thermostat (SIM0001) in the primary account */
+const DEV = 'groups.1001.thermostats.2001';
+
+async function startSimAdapter() {
+	const sim = new OJSimulator();
+	const { url } = await sim.start();
+	const adapter = createAdapter({
+		baseUrlOwd5: url,
+		baseUrlOcd5: url,
+		username: 'user',
+		password: 'secret',
+		apiKey: sim.apiKey,
+		customerId: 1,
+		pollIntervalSec: 60,
+		energyViewType: 2,
+	});
+	const acc = adapter.accounts[0];
+	acc.client = new OJClient({
+		log: quietLog,
+		baseUrlOwd5: url,
+		baseUrlOcd5: url,
+		username: 'user',
+		password: 'secret',
+		apiKey: sim.apiKey,
+		customerId: 1,
+		readRetries: 0,
+	});
+	acc.baseIntervalMs = 60000;
+	acc.currentIntervalMs = 60000;
+	adapter.commandQueue.windowMs = 0;
+	return { sim, adapter, acc };
+}
+
+async function stopSimAdapter({ sim, adapter }) {
+	adapter.unloading = true;
+	adapter.clearAllTimers();
+	await sim.stop();
+}
+
+module.exports = { quietLog, sleep, waitFor, DEV, startSimAdapter, stopSimAdapter };
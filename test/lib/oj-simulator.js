@@ -0,0 +1,489 @@
+// test/lib/oj-simulator.js
+/* eslint-disable jsdoc/require-jsdoc */
+'use strict';
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { scheduleStateAt } = require('../../lib/schedule');
+const { thermostatLocalNoZToUtcMs } = require('../../lib/time');
+const { BODY_ERROR } = require('../../lib/errors');
+
+// ============================================================================
+// OJ Cloud Simulator (local OWD5 + OCD5 stand-in)
+// - Serves both APIs on one port, so baseUrlOwd5 and baseUrlOcd5 can point
+//   to the same http://127.0.0.1:<port>
+// - Endpoints: UserProfile/SignIn, Group/GroupContents,
+//              EnergyUsage/GetEnergyUsage, Thermostat/UpdateThermostat
+// - Thermostats are stateful: mode, setpoints, end times, heating flag and
+//   temperatures evolve over time (optionally accelerated via `speed`)
+// - Fault injection for tests: offline thermostats, expired sessions,
+//   failing requests (HTTP status or body ErrorCode), accepted-but-ignored
+//   updates, session errors in the response body (sessionErrorsInBody)
+//
+// Development only, not published (package.json "files")
+// Standalone: npm run simulator -- [port] [speed]
+// ============================================================================
+
+const DEFAULT_API_KEY = 'f219aab4-9ac0-4343-8422-b72203e2fac9';
+
+// ErrorCodes returned by the simulator in response bodies
+const SIM_ERROR = { OK: 0, ...BODY_ERROR };
+
+// Floor heating physics (°C per simulated minute)
+const HEAT_RATE = 0.3;
+const COOL_RATE = 0.1;
+const ROOM_FOLLOW_RATE = 0.05;
+const AMBIENT_C = 16;
+const FROST_C = 5;
+const ECO_OFFSET_C = 3;
+
+function createDefaultSchedule() {
+	const events = [
+		{ Clock: '06:00:00', Temperature: 2200 },
+		{ Clock: '08:30:00', Temperature: 1900 },
+		{ Clock: '16:00:00', Temperature: 2250 },
+		{ Clock: '22:30:00', Temperature: 1800 },
+	];
+	const Days = [];
+	for (let wd = 0; wd < 7; wd++) {
+		Days.push({
+			WeekDayGrpNo: wd,
+			Events: events.map(ev => ({ ScheduleType: 0, Active: true, EventIsOnNextDay: false, ...ev })),
+		});
+	}
+	return { Days };
+}
+
+function createDefaultGroups() {
+	return [
+		{
+			GroupId: 1001,
+			GroupName: 'Ground floor',
+			Thermostats: [
+				{ Id: 2001, SerialNumber: 'SIM0001', ThermostatName: 'Bathroom' },
+				{ Id: 2002, SerialNumber: 'SIM0002', ThermostatName: 'Kitchen' },
+			],
+		},
+	];
+}
+
+function createThermostatState(def) {
+	return {
+		Id: def.Id,
+		SerialNumber: String(def.SerialNumber),
+		ThermostatName: def.ThermostatName || `Thermostat ${def.Id}`,
+		Online: def.Online !== false,
+		Heating: false,
+		RegulationMode: def.RegulationMode ?? 1,
+		ManualModeSetpoint: def.ManualModeSetpoint ?? 2100,
+		ComfortSetpoint: def.ComfortSetpoint ?? 2300,
+		ComfortEndTime: def.ComfortEndTime || '',
+		BoostEndTime: def.BoostEndTime || '',
+		VacationEnabled: Boolean(def.VacationEnabled),
+		VacationBeginDay: def.VacationBeginDay || '',
+		VacationEndDay: def.VacationEndDay || '',
+		VacationTemperature: def.VacationTemperature ?? 1200,
+		TimeZone: def.TimeZone ?? 3600,
+		Schedule: def.Schedule || createDefaultSchedule(),
+		// internal °C values, serialized as hundredths
+		floorC: def.floorC ?? 20,
+		roomC: def.roomC ?? 19.5,
+	};
+}
+
+// Temperature (hundredths) of the schedule event active at the given UTC time
+function scheduleTempAt(t, utcMs) {
+	return scheduleStateAt(t.Schedule, utcMs + t.TimeZone * 1000)?.temperature ?? 2000;
+}
+
+function energyValue(serial, key) {
+	const hash = crypto.createHash('sha1').update(`${serial}|${key}`).digest();
+	return Math.round((hash.readUInt16BE(0) / 65535) * 800) / 100; // 0 .. 8 kWh
+}
+
+class OJSimulator {
+	/**
+	 * @param {{port?:number, host?:string, apiKey?:string, username?:string, password?:string, customerId?:number, groups?:Array<object>, speed?:number, now?:() => number, log?:object}} [opts]
+	 * # param opts.port - TCP port (0 = random free port)
+	 * # param opts.username / opts.password - if set, SignIn only accepts these credentials
+	 * # param opts.groups - GroupContents seed (default: one group with two thermostats)
+	 * # param opts.speed - simulated minutes per real minute (default: 1)
+	 * # param opts.now - clock source (default: Date.now)
+	 */
+	constructor(opts = {}) {
+		this.port = opts.port ?? 0;
+		this.host = opts.host || '127.0.0.1';
+		this.apiKey = opts.apiKey || DEFAULT_API_KEY;
+		this.username = opts.username;
+		this.password = opts.password;
+		this.customerId = opts.customerId;
+		this.speed = Number(opts.speed) > 0 ? Number(opts.speed) : 1;
+		this.now = opts.now || (() => Date.now());
+		this.log = opts.log || null;
+
+		this.groups = (opts.groups || createDefaultGroups()).map(g => ({
+			GroupId: g.GroupId,
+			GroupName: g.GroupName,
+			thermostats: (g.Thermostats || []).map(createThermostatState),
+		}));
+
+		this.sessions = new Set();
+		this.lastTickMs = this.now();
+
+		// fault injection
+		this.failRemaining = 0;
+		this.failStatus = 503;
+		this.failErrorCode = 0;
+		this.failPath = '';
+		this.ignoreUpdates = false;
+		// true: expired sessions are answered like the real OWD5 often does,
+		// HTTP 200 with ErrorCode INVALID_SESSION instead of HTTP 401
+		this.sessionErrorsInBody = false;
+
+		// inspection
+		this.requestCount = {};
+		this.updates = [];
+		/** body of the last SignIn request */
+		this.lastSignIn = null;
+
+		this.server = null;
+		this.url = '';
+	}
+
+	// ------------------------------------------------------------------------
+	// Lifecycle
+	// ------------------------------------------------------------------------
+
+	start() {
+		return new Promise((resolve, reject) => {
+			const server = http.createServer((req, res) => {
+				this._handle(req, res).catch(e => this._send(res, 500, { ErrorCode: -1, Message: String(e) }));
+			});
+			this.server = server;
+			server.once('error', reject);
+			server.listen(this.port, this.host, () => {
+				const addr = server.address();
+				this.port = typeof addr === 'object' && addr ? addr.port : this.port;
+				this.url = `http://${this.host}:${this.port}`;
+				resolve({ url: this.url });
+			});
+		});
+	}
+
+	stop() {
+		return new Promise(resolve => {
+			if (!this.server) {
+				return resolve(undefined);
+			}
+			this.server.close(() => resolve(undefined));
+			this.server.closeAllConnections?.();
+			this.server = null;
+		});
+	}
+
+	// ------------------------------------------------------------------------
+	// Fault injection / inspection
+	// ------------------------------------------------------------------------
+
+	getThermostat(serial) {
+		for (const g of this.groups) {
+			const t = g.thermostats.find(x => x.SerialNumber === String(serial));
+			if (t) {
+				return t;
+			}
+		}
+		return null;
+	}
+
+	setOnline(serial, online) {
+		const t = this.getThermostat(serial);
+		if (t) {
+			t.Online = Boolean(online);
+		}
+	}
+
+	setAllOnline(online) {
+		for (const g of this.groups) {
+			for (const t of g.thermostats) {
+				t.Online = Boolean(online);
+			}
+		}
+	}
+
+	expireSessions() {
+		this.sessions.clear();
+	}
+
+	// errorCode: answer HTTP 200 with this body ErrorCode instead of `status`
+	// path: fail only requests to this endpoint (e.g. '/api/Group/GroupContents')
+	failNextRequests(count, status = 503, { errorCode = 0, path = '' } = {}) {
+		this.failRemaining = count;
+		this.failStatus = status;
+		this.failErrorCode = errorCode;
+		this.failPath = path;
+	}
+
+	// ------------------------------------------------------------------------
+	// Simulation
+	// ------------------------------------------------------------------------
+
+	_targetHundredths(t, nowMs) {
+		switch (Number(t.RegulationMode)) {
+			case 2:
+				return t.ComfortSetpoint;
+			case 3:
+				return t.ManualModeSetpoint;
+			case 4:
+				return t.VacationTemperature;
+			case 6:
+				return FROST_C * 100;
+			case 8:
+				return 9999; // boost: heat continuously
+			case 9:
+				return scheduleTempAt(t, nowMs) - ECO_OFFSET_C * 100;
+			default:
+				return scheduleTempAt(t, nowMs);
+		}
+	}
+
+	tick() {
+		const nowMs = this.now();
+		const dtMin = (Math.max(0, nowMs - this.lastTickMs) / 60000) * this.speed;
+		this.lastTickMs = nowMs;
+
+		for (const g of this.groups) {
+			for (const t of g.thermostats) {
+				// temporary modes fall back to schedule when their end time has passed
+				if (t.RegulationMode === 2 && thermostatLocalNoZToUtcMs(t.ComfortEndTime, t.TimeZone) <= nowMs) {
+					t.RegulationMode = 1;
+				}
+				if (t.RegulationMode === 8 && thermostatLocalNoZToUtcMs(t.BoostEndTime, t.TimeZone) <= nowMs) {
+					t.RegulationMode = 1;
+				}
+
+				const targetC = this._targetHundredths(t, nowMs) / 100;
+				t.Heating = t.Online && t.floorC < targetC - 0.1;
+
+				if (t.Heating) {
+					t.floorC = Math.min(targetC, t.floorC + HEAT_RATE * dtMin);
+				} else {
+					t.floorC = Math.max(AMBIENT_C, t.floorC - COOL_RATE * dtMin);
+				}
+				const roomStep = ROOM_FOLLOW_RATE * dtMin;
+				t.roomC += Math.max(-roomStep, Math.min(roomStep, t.floorC - 1 - t.roomC));
+			}
+		}
+	}
+
+	_serializeThermostat(t) {
+		return {
+			Id: t.Id,
+			SerialNumber: t.SerialNumber,
+			ThermostatName: t.ThermostatName,
+			Online: t.Online,
+			Heating: t.Heating,
+			RoomTemperature: Math.round(t.roomC * 100),
+			FloorTemperature: Math.round(t.floorC * 100),
+			RegulationMode: t.RegulationMode,
+			ManualModeSetpoint: t.ManualModeSetpoint,
+			ComfortSetpoint: t.ComfortSetpoint,
+			ComfortEndTime: t.ComfortEndTime,
+			BoostEndTime: t.BoostEndTime,
+			VacationEnabled: t.VacationEnabled,
+			VacationBeginDay: t.VacationBeginDay,
+			VacationEndDay: t.VacationEndDay,
+			VacationTemperature: t.VacationTemperature,
+			TimeZone: t.TimeZone,
+			Schedule: JSON.parse(JSON.stringify(t.Schedule)),
+		};
+	}
+
+	_applyUpdate(t, fields) {
+		const copy = [
+			'ThermostatName',
+			'RegulationMode',
+			'ManualModeSetpoint',
+			'ComfortSetpoint',
+			'ComfortEndTime',
+			'BoostEndTime',
+			'VacationEnabled',
+			'VacationBeginDay',
+			'VacationEndDay',
+			'VacationTemperature',
+		];
+		for (const key of copy) {
+			if (fields[key] !== undefined && fields[key] !== null) {
+				t[key] = fields[key];
+			}
+		}
+		if (fields.Schedule && Array.isArray(fields.Schedule.Days)) {
+			t.Schedule = JSON.parse(JSON.stringify(fields.Schedule));
+		}
+	}
+
+	// ------------------------------------------------------------------------
+	// HTTP
+	// ------------------------------------------------------------------------
+
+	_send(res, status, body) {
+		res.writeHead(status, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify(body));
+	}
+
+	async _readBody(req) {
+		const chunks = [];
+		for await (const chunk of req) {
+			chunks.push(chunk);
+		}
+		const raw = Buffer.concat(chunks).toString('utf8');
+		if (!raw) {
+			return {};
+		}
+		try {
+			return JSON.parse(raw);
+		} catch {
+			return {};
+		}
+	}
+
+	async _handle(req, res) {
+		const url = new URL(req.url || '/', 'http://localhost');
+		const route = `${req.method} ${url.pathname}`;
+		this.requestCount[url.pathname] = (this.requestCount[url.pathname] || 0) + 1;
+		this.log?.debug?.(`OJ simulator: ${route}`);
+
+		if (this.failRemaining > 0 && (!this.failPath || url.pathname === this.failPath)) {
+			this.failRemaining -= 1;
+			if (this.failErrorCode) {
+				return this._send(res, 200, { ErrorCode: this.failErrorCode });
+			}
+			return this._send(res, this.failStatus, { Message: 'Simulated failure' });
+		}
+
+		this.tick();
+		const body = req.method === 'POST' ? await this._readBody(req) : {};
+		const sessionOk = this.sessions.has(url.searchParams.get('sessionid') || '');
+
+		switch (route) {
+			case 'POST /api/UserProfile/SignIn':
+				return this._signIn(res, body);
+
+			case 'GET /api/Group/GroupContents':
+				if (!sessionOk) {
+					return this._sessionInvalid(res);
+				}
+				return this._send(res, 200, {
+					ErrorCode: SIM_ERROR.OK,
+					GroupContents: this.groups.map(g => ({
+						GroupId: g.GroupId,
+						GroupName: g.GroupName,
+						Thermostats: g.thermostats.map(t => this._serializeThermostat(t)),
+					})),
+				});
+
+			case 'POST /api/EnergyUsage/GetEnergyUsage':
+				if (!sessionOk) {
+					return this._sessionInvalid(res);
+				}
+				return this._energyUsage(res, body);
+
+			case 'POST /api/Thermostat/UpdateThermostat':
+				if (!sessionOk) {
+					return this._sessionInvalid(res);
+				}
+				return this._updateThermostat(res, body);
+
+			default:
+				return this._send(res, 404, { Message: `Unknown route ${route}` });
+		}
+	}
+
+	_sessionInvalid(res) {
+		if (this.sessionErrorsInBody) {
+			return this._send(res, 200, { ErrorCode: SIM_ERROR.INVALID_SESSION });
+		}
+		return this._send(res, 401, { Message: 'Session invalid' });
+	}
+
+	_signIn(res, body) {
+		this.lastSignIn = body;
+		if (body.APIKEY !== this.apiKey) {
+			return this._send(res, 200, { ErrorCode: SIM_ERROR.INVALID_API_KEY, SessionId: null });
+		}
+		const userOk = this.username === undefined || body.UserName === this.username;
+		const passOk = this.password === undefined || body.Password === this.password;
+		const customerOk = this.customerId === undefined || Number(body.CustomerId) === Number(this.customerId);
+		if (!body.UserName || !userOk || !passOk || !customerOk) {
+			return this._send(res, 200, { ErrorCode: SIM_ERROR.INVALID_CREDENTIALS, SessionId: null });
+		}
+		const sessionId = crypto.randomUUID();
+		this.sessions.add(sessionId);
+		return this._send(res, 200, { ErrorCode: SIM_ERROR.OK, SessionId: sessionId });
+	}
+
+	_energyUsage(res, body) {
+		const t = this.getThermostat(body.ThermostatID);
+		if (!t) {
+			return this._send(res, 200, { ErrorCode: SIM_ERROR.UNKNOWN_THERMOSTAT });
+		}
+
+		const viewType = Number(body.ViewType) || 2;
+		const history = Number(body.History) || 0;
+		const ref = new Date(Date.parse(`${String(body.DateTime || '').replace(/[zZ]$/, '')}Z`) || this.now());
+
+		// index 0 = most recent bucket (day for week/month view, month for year view)
+		const Usage = [];
+		if (viewType === 4) {
+			// DateTime is tomorrow: the current month is the one of the day before
+			const today = new Date(ref.getTime() - 24 * 3600 * 1000);
+			for (let i = 0; i < 12; i++) {
+				const d = new Date(Date.UTC(today.getUTCFullYear() - history, today.getUTCMonth() - i, 1));
+				const key = d.toISOString().slice(0, 7);
+				Usage.push({ EnergyKWattHour: Math.round(energyValue(t.SerialNumber, key) * 3000) / 100 });
+			}
+		} else {
+			const days = viewType === 3 ? 30 : 7;
+			const endMs = ref.getTime() - 24 * 3600 * 1000 - history * days * 24 * 3600 * 1000;
+			for (let i = 0; i < days; i++) {
+				const key = new Date(endMs - i * 24 * 3600 * 1000).toISOString().slice(0, 10);
+				Usage.push({ EnergyKWattHour: energyValue(t.SerialNumber, key) });
+			}
+		}
+
+		return this._send(res, 200, { ErrorCode: SIM_ERROR.OK, EnergyUsage: [{ Usage }] });
+	}
+
+	_updateThermostat(res, body) {
+		const fields = body?.SetThermostat || {};
+		const t = this.getThermostat(fields.SerialNumber);
+		if (!t) {
+			return this._send(res, 200, { ErrorCode: SIM_ERROR.UNKNOWN_THERMOSTAT });
+		}
+
+		this.updates.push({ serial: t.SerialNumber, fields: JSON.parse(JSON.stringify(fields)) });
+
+		// The cloud accepts commands for offline thermostats, they just never arrive
+		if (t.Online && !this.ignoreUpdates) {
+			this._applyUpdate(t, fields);
+			this.tick();
+		}
+		return this._send(res, 200, { ErrorCode: SIM_ERROR.OK });
+	}
+}
+
+module.exports = { OJSimulator, SIM_ERROR, createDefaultGroups, createDefaultSchedule };
+
+if (require.main === module) {
+	const port = Number(process.argv[2]) || 8089;
+	const sim = new OJSimulator({ port, speed: Number(process.argv[3]) || 1 });
+	sim.start()
+		.then(({ url }) => {
+			console.log(`OJ simulator listening on ${url}`);
+			console.log(`Set baseUrlOwd5 and baseUrlOcd5 to ${url} (any username/password, default API key).`);
+		})
+		.catch(e => {
+			console.error(`OJ simulator failed to start: ${e?.message || e}`);
+			process.exitCode = 1;
+		});
+	process.on('SIGINT', () => sim.stop().then(() => process.exit(0)));
+}
@@ -0,0 +1,227 @@
+'use strict';
+
+const { expect } = require('chai');
+const { OJSimulator } = require('./lib/oj-simulator');
+const { createAdapter } = require('./fakeAdapterCore');
+const ioPackage = require('../io-package.json');
+const { listCloneTargets } = require('../lib/clone');
+const { waitFor, DEV, startSimAdapter, stopSimAdapter } = require('./lib/harness');
+
+describe('Startup login and cloud accounts', () => {
+	let sim;
+	let adapter;
+	let acc;
+
+	beforeEach(async () => ({ sim, adapter, acc } = await startSimAdapter()));
+	afterEach(() => stopSimAdapter({ sim, adapter }));
+
+	it('retries a failing startup login with backoff', async () => {
+		acc.baseIntervalMs = 5;
+		const waits = [];
+		const wait = adapter._waitForLoginRetry.bind(adapter);
+		adapter._waitForLoginRetry = (a, ms) => (waits.push(ms), wait(a, ms));
+		sim.failNextRequests(3, 503);
+		expect(await adapter.loginWithRetry(acc)).to.equal(true);
+		expect(waits).to.deep.equal([5, 10, 20]); // first retry after the configured interval
+		expect(sim.requestCount['/api/UserProfile/SignIn']).to.equal(4);
+		expect(adapter.val('info.loginState')).to.equal('loggedIn');
+		expect(adapter.val('info.lastLoginError')).to.equal('');
+		expect(adapter.val('info.connection')).to.equal(true);
+		expect(acc.warnedNoCloud).to.equal(true); // recovery is reported by the next poll
+		expect(adapter.log.entries.filter(e => /Login failed \(attempt/.test(e.msg))).to.have.length(3);
+	});
+
+	it('does not retry a login refused with HTTP 401', async () => {
+		acc.baseIntervalMs = 5;
+		sim.failNextRequests(1, 401);
+		expect(await adapter.loginWithRetry(acc)).to.equal(false);
+		expect(sim.requestCount['/api/UserProfile/SignIn']).to.equal(1);
+		expect(adapter.val('info.loginState')).to.equal('rejected');
+		expect(adapter.val('info.lastLoginError')).to.match(/login failed/);
+	});
+
+	it('does not retry a login refused with a credentials ErrorCode', async () => {
+		acc.baseIntervalMs = 5;
+		sim.password = 'secret';
+		acc.client.password = 'wrong';
+		expect(await adapter.loginWithRetry(acc)).to.equal(false);
+		expect(sim.requestCount['/api/UserProfile/SignIn']).to.equal(1);
+		expect(adapter.val('info.loginState')).to.equal('rejected');
+		expect(adapter.val('info.lastLoginError')).to.match(/username or password refused/);
+	});
+
+	it('retries a login answered with an unknown body ErrorCode', async () => {
+		acc.baseIntervalMs = 5;
+		sim.failNextRequests(2, 200, { errorCode: 99 });
+		const login = adapter.loginWithRetry(acc);
+		await waitFor(() => (sim.requestCount['/api/UserProfile/SignIn'] || 0) >= 2);
+		expect(adapter.val('info.loginState')).to.be.oneOf(['retrying', 'loggingIn']);
+		expect(await login).to.equal(true);
+		expect(sim.requestCount['/api/UserProfile/SignIn']).to.equal(3);
+		expect(adapter.val('info.loginState')).to.equal('loggedIn');
+	});
+
+	it('starts the energy timer while another account is still retrying its login', async () => {
+		adapter.config.accounts = [
+			{
+				enabled: true,
+				id: 'down',
+				username: 'u2',
+				password: adapter.encrypt('p2'),
+				baseUrlOwd5: 'http://127.0.0.1:1',
+				baseUrlOcd5: 'http://127.0.0.1:1',
+			},
+		];
+		let started = false;
+		const start = adapter.energyScheduler.start;
+		adapter.energyScheduler.start = () => {
+			started = true;
+			start();
+		};
+		const ready = adapter.onReady();
+		await waitFor(
+			() => adapter.val('accounts.down.info.loginState') === 'retrying' && adapter.val(`${DEV}.online`) === true,
+		);
+		expect(started).to.equal(true);
+		adapter.unloading = true;
+		adapter.accounts.forEach(a => a._wakeLoginRetry?.());
+		await ready;
+	});
+
+	it('polls additional accounts into their own accounts.<id> tree', async () => {
+		const sim2 = new OJSimulator({
+			groups: [
+				{
+					GroupId: 3001,
+					GroupName: 'Flat',
+					Thermostats: [{ Id: 4001, SerialNumber: 'SIM1001', ThermostatName: 'Living room' }],
+				},
+			],
+		});
+		const { url: url2 } = await sim2.start();
+		const FLAT = 'accounts.flat.groups.3001.thermostats.4001';
+		try {
+			// admin stores the row passwords encrypted
+			adapter.config.accounts = [
+				{
+					enabled: true,
+					id: 'flat',
+					name: 'Holiday flat',
+					username: 'u2',
+					password: adapter.encrypt('p2'),
+					baseUrlOwd5: url2,
+					baseUrlOcd5: url2,
+				},
+				{ enabled: true, id: 'flat', username: 'u3' },
+			];
+			await adapter.onReady();
+
+			expect(adapter.accounts.map(a => a.id)).to.deep.equal(['', 'flat']);
+			expect(sim2.lastSignIn?.Password).to.equal('p2');
+			expect(adapter.log.entries.some(e => /ignored: duplicate ID/.test(e.msg))).to.equal(true);
+			expect(adapter.val(`${DEV}.online`)).to.equal(true);
+			expect(adapter.val(`${FLAT}.online`)).to.equal(true);
+			expect(adapter.val('accounts.flat.info.connection')).to.equal(true);
+			expect(adapter.val('accounts.flat.info.loginState')).to.equal('loggedIn');
+			expect(adapter.objects.get(`${adapter.namespace}.accounts.flat`)?.common.name).to.equal('Holiday flat');
+			expect(adapter.findThermostat({ serial: 'SIM1001' })).to.include({ accountId: 'flat', devPrefix: FLAT });
+
+			await adapter.onStateChange(`${adapter.namespace}.${FLAT}.apply.eco.apply`, { val: true, ack: false });
+			expect(sim2.updates.map(u => u.serial)).to.deep.equal(['SIM1001']);
+			expect(sim.updates).to.have.length(0);
+			expect(adapter.val(`${FLAT}.apply.eco.lastResult`)).to.equal('success');
+
+			const dm = adapter.deviceManagement;
+			const ids = dm._extractIds(adapter.objects.get(`${adapter.namespace}.${FLAT}`));
+			expect(dm._toDeviceId(ids)).to.equal('flat/3001/4001');
+			expect(dm._parseDeviceId('flat/3001/4001')).to.deep.equal(ids);
+			expect(dm._parseDeviceId('1001/2001')).to.deep.equal({
+				accountId: '',
+				groupId: '1001',
+				thermostatId: '2001',
+			});
+		} finally {
+			adapter.unloading = true;
+			await sim2.stop();
+		}
+	});
+
+	it('keeps thermostats with the same ThermostatId in different accounts apart', async () => {
+		const sim2 = new OJSimulator({
+			groups: [
+				{
+					GroupId: 1001,
+					GroupName: 'Flat',
+					Thermostats: [{ Id: 2001, SerialNumber: 'SIM1001', ThermostatName: 'Living room' }],
+				},
+			],
+		});
+		const { url: url2 } = await sim2.start();
+		const FLAT = 'accounts.flat.groups.1001.thermostats.2001';
+		try {
+			adapter.config.accounts = [
+				{
+					enabled: true,
+					id: 'flat',
+					username: 'u2',
+					password: adapter.encrypt('p2'),
+					baseUrlOwd5: url2,
+					baseUrlOcd5: url2,
+				},
+			];
+			sim2.setOnline('SIM1001', false);
+			await adapter.onReady();
+
+			expect(adapter.val(`${DEV}.thermostatName`)).to.equal('Bathroom');
+			expect(adapter.val(`${FLAT}.thermostatName`)).to.equal('Living room');
+			expect(() => adapter.findThermostat({ thermostatId: 2001 })).to.throw(/several accounts/);
+			expect(adapter.findThermostat({ accountId: 'flat', thermostatId: 2001 })).to.include({
+				serial: 'SIM1001',
+				devPrefix: FLAT,
+			});
+			expect(adapter.findThermostat({ accountId: '', thermostatId: 2001 }).serial).to.equal('SIM0001');
+
+			// online state, serial and cached data are per account
+			await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.eco.apply`, { val: true, ack: false });
+			await adapter.onStateChange(`${adapter.namespace}.${FLAT}.apply.eco.apply`, { val: true, ack: false });
+			expect(sim.updates.map(u => u.serial)).to.deep.equal(['SIM0001']);
+			expect(sim2.updates).to.have.length(0);
+			expect(adapter.val(`${FLAT}.apply.eco.lastResult`)).to.equal('blocked');
+
+			await adapter.messageRouter({
+				command: 'exportSchedule',
+				message: { accountId: 'flat', thermostatId: 2001 },
+				from: 'system.adapter.admin.0',
+				callback: {},
+			});
+			expect(adapter.sentMessages.at(-1)?.message.result.thermostatName).to.equal('Living room');
+
+			const targets = listCloneTargets(adapter, { accountId: '', thermostatId: 2001 });
+			expect(targets.map(th => th.devPrefix)).to.deep.equal(['groups.1001.thermostats.2002', FLAT]);
+		} finally {
+			adapter.unloading = true;
+			await sim2.stop();
+		}
+	});
+
+	it('uses only the additional accounts when the main tab keeps its io-package defaults', async () => {
+		const only = createAdapter({
+			...ioPackage.native,
+			accounts: [{ enabled: true, id: 'flat', username: 'u2', baseUrlOwd5: sim.url, baseUrlOcd5: sim.url }],
+		});
+		try {
+			// admin stores the row passwords encrypted
+			only.config.accounts[0].password = only.encrypt('p2');
+			await only.onReady();
+
+			expect(sim.lastSignIn?.Password).to.equal('p2');
+			expect(only.accounts.map(a => a.id)).to.deep.equal(['flat']);
+			expect(only.log.entries.some(e => /Missing config/.test(e.msg))).to.equal(false);
+			expect(only.val('accounts.flat.info.connection')).to.equal(true);
+			expect(only.val('info.connection')).to.equal(true);
+		} finally {
+			only.unloading = true;
+			only.clearAllTimers();
+		}
+	});
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+const { expect } = require('chai');
+const { waitFor, DEV, startSimAdapter, stopSimAdapter } = require('./lib/harness');
+
+describe('Apply', () => {
+	let sim;
+	let adapter;
+	let acc;
+
+	beforeEach(async () => ({ sim, adapter, acc } = await startSimAdapter()));
+	afterEach(() => stopSimAdapter({ sim, adapter }));
+
+	it('apply router sends manual mode and the next poll reflects it', async () => {
+		await adapter.pollOnce(acc);
+		adapter.setState(`${DEV}.apply.manual.setpoint`, 23.5, true);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.manual.apply`, { val: true, ack: false });
+
+		const t = sim.getThermostat('SIM0001');
+		expect(t.RegulationMode).to.equal(3);
+		expect(t.ManualModeSetpoint).to.equal(2350);
+
+		await adapter.pollOnce(acc);
+		expect(adapter.val(`${DEV}.regulationMode`)).to.equal(3);
+		expect(adapter.val(`${DEV}.setpoint.manual`)).to.equal(23.5);
+		expect(adapter.val(`${DEV}.status.activeSource`)).to.equal('manual');
+		expect(adapter.val(`${DEV}.status.effectiveSetpoint`)).to.equal(23.5);
+		expect(adapter.val(`${DEV}.apply.manual.apply`)).to.equal(false);
+		expect(adapter.val(`${DEV}.apply.manual.lastResult`)).to.equal('success');
+		expect(adapter.val(`${DEV}.apply.manual.lastError`)).to.equal('');
+		expect(adapter.val(`${DEV}.apply.manual.lastAppliedAt`)).to.be.a('number');
+		expect(JSON.parse(adapter.val(`${DEV}.apply.manual.lastPayload`))).to.deep.equal({
+			ThermostatName: 'Bathroom',
+			RegulationMode: 3,
+			ManualModeSetpoint: 2350,
+		});
+	});
+
+	it('writes optimistic values after apply and refreshes the thermostat shortly after', async () => {
+		adapter.config.verifyWrites = false;
+		adapter.refreshDelayMs = 10;
+		await adapter.pollOnce(acc);
+		const energyReads = sim.requestCount['/api/EnergyUsage/GetEnergyUsage'];
+		sim.ignoreUpdates = true; // thermostat stays on schedule, the refresh must show that
+		adapter.setState(`${DEV}.apply.manual.setpoint`, 23.5, true);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.manual.apply`, { val: true, ack: false });
+
+		expect(adapter.states.get(`${adapter.namespace}.${DEV}.regulationMode`)).to.include({ val: 3, q: 0x40 });
+		expect(adapter.states.get(`${adapter.namespace}.${DEV}.setpoint.manual`)).to.include({ val: 23.5, q: 0x40 });
+
+		await waitFor(() => adapter.states.get(`${adapter.namespace}.${DEV}.regulationMode`).q === 0);
+		expect(adapter.val(`${DEV}.regulationMode`)).to.equal(1);
+		expect(sim.requestCount['/api/Group/GroupContents']).to.equal(2);
+		expect(sim.requestCount['/api/EnergyUsage/GetEnergyUsage']).to.equal(energyReads);
+	});
+
+	it('targeted refresh waits for an in-flight poll', async () => {
+		adapter.config.verifyWrites = false;
+		await adapter.pollOnce(acc);
+		acc.refreshPending.add('2001');
+		const poll = adapter.pollOnce(acc);
+		const refresh = adapter.refreshThermostats(acc);
+		expect(acc.refreshPromise).to.equal(null);
+		await poll;
+		await refresh;
+		expect(acc.refreshPending.size).to.equal(0);
+		expect(sim.requestCount['/api/Group/GroupContents']).to.equal(3);
+	});
+
+	it('confirms an apply once the thermostat reports the sent values', async () => {
+		adapter.writeVerifier.delaysMs = [10, 10, 10];
+		await adapter.pollOnce(acc);
+		adapter.setState(`${DEV}.apply.manual.setpoint`, 22, true);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.manual.apply`, { val: true, ack: false });
+		expect(adapter.val(`${DEV}.apply.manual.confirmation`)).to.equal('pending');
+
+		await waitFor(() => adapter.val(`${DEV}.apply.manual.confirmation`) !== 'pending');
+		expect(adapter.val(`${DEV}.apply.manual.confirmation`)).to.equal('confirmed');
+		// the read-back replaced the optimistic values, no separate refresh read
+		expect(adapter.states.get(`${adapter.namespace}.${DEV}.setpoint.manual`)).to.include({ val: 22, q: 0 });
+		expect(sim.requestCount['/api/Group/GroupContents']).to.equal(2);
+		expect(acc.refreshTimer).to.equal(null);
+	});
+
+	it('marks an apply as failed when the thermostat ignores it', async () => {
+		adapter.writeVerifier.delaysMs = [10, 10, 10];
+		await adapter.pollOnce(acc);
+		sim.ignoreUpdates = true;
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.eco.apply`, { val: true, ack: false });
+
+		await waitFor(() => adapter.val(`${DEV}.apply.eco.confirmation`) !== 'pending');
+		expect(adapter.val(`${DEV}.apply.eco.confirmation`)).to.equal('failed');
+		expect(sim.requestCount['/api/Group/GroupContents']).to.equal(4);
+		expect(adapter.log.entries.some(e => /mismatch in RegulationMode/.test(e.msg))).to.equal(true);
+	});
+
+	it('merges quick successive applies into one UpdateThermostat and drops superseded modes', async () => {
+		adapter.commandQueue.windowMs = 30;
+		await adapter.pollOnce(acc);
+		adapter.setState(`${DEV}.apply.manual.setpoint`, 23, true);
+		adapter.setState(`${DEV}.apply.comfort.setpoint`, 24, true);
+		adapter.setState(`${DEV}.apply.vacation.temperature`, 10, true);
+		adapter.setState(`${DEV}.apply.name.value`, 'Bath', true);
+
+		await Promise.all(
+			['manual', 'vacation', 'name', 'comfort'].map(mode =>
+				adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.${mode}.apply`, { val: true, ack: false }),
+			),
+		);
+
+		expect(sim.updates).to.have.length(1);
+		const t = sim.getThermostat('SIM0001');
+		expect(t.RegulationMode).to.equal(2);
+		expect(t.ComfortSetpoint).to.equal(2400);
+		expect(t.ManualModeSetpoint).to.equal(2100);
+		expect(t.VacationTemperature).to.equal(1000);
+		expect(t.ThermostatName).to.equal('Bath');
+		expect(adapter.val(`${DEV}.apply.manual.lastResult`)).to.equal('superseded');
+		expect(adapter.val(`${DEV}.apply.comfort.lastResult`)).to.equal('success');
+		expect(adapter.val(`${DEV}.apply.vacation.lastResult`)).to.equal('success');
+		// every merged command shows the payload that was actually sent
+		const sent = JSON.parse(adapter.val(`${DEV}.apply.vacation.lastPayload`));
+		expect(sent).to.include({
+			RegulationMode: 2,
+			ComfortSetpoint: 2400,
+			VacationTemperature: 1000,
+			ThermostatName: 'Bath',
+		});
+		expect(JSON.parse(adapter.val(`${DEV}.apply.comfort.lastPayload`))).to.deep.equal(sent);
+		expect(JSON.parse(adapter.val(`${DEV}.apply.name.lastPayload`))).to.deep.equal(sent);
+	});
+
+	it('apply.scheduleEdit sends the edited weekly program', async () => {
+		await adapter.pollOnce(acc);
+		const editable = JSON.parse(adapter.val(`${DEV}.apply.scheduleEdit.json`));
+		expect(editable.Days[3].Events).to.have.length(4);
+
+		editable.Days[3].Events.splice(1, 1);
+		editable.Days[3].Events.push({ Clock: '23:45', Temperature: 16.5 });
+		adapter.setState(`${DEV}.apply.scheduleEdit.json`, JSON.stringify(editable), true);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.scheduleEdit.apply`, { val: true, ack: false });
+
+		const events = sim.getThermostat('SIM0001').Schedule.Days[3].Events;
+		expect(events.map(ev => ev.Clock)).to.deep.equal(['06:00:00', '16:00:00', '22:30:00', '23:45:00']);
+		expect(events[3].Temperature).to.equal(1650);
+		expect(adapter.val(`${DEV}.schedule.day3.event3.temperature`)).to.equal(16.5);
+	});
+
+	it('apply.scheduleEdit.json follows cloud schedule changes until it is edited', async () => {
+		await adapter.pollOnce(acc);
+		sim.getThermostat('SIM0001').Schedule.Days[3].Events[0].Temperature = 1900;
+		await adapter.pollOnce(acc);
+		expect(JSON.parse(adapter.val(`${DEV}.apply.scheduleEdit.json`)).Days[3].Events[0].Temperature).to.equal(19);
+
+		const edited = JSON.parse(adapter.val(`${DEV}.apply.scheduleEdit.json`));
+		edited.Days[3].Events[0].Temperature = 17;
+		adapter.setState(`${DEV}.apply.scheduleEdit.json`, JSON.stringify(edited), true);
+		sim.getThermostat('SIM0001').Schedule.Days[3].Events[0].Temperature = 2100;
+		await adapter.pollOnce(acc);
+		expect(JSON.parse(adapter.val(`${DEV}.apply.scheduleEdit.json`)).Days[3].Events[0].Temperature).to.equal(17);
+
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.scheduleEdit.apply`, { val: true, ack: false });
+		sim.getThermostat('SIM0001').Schedule.Days[3].Events[0].Temperature = 2000;
+		await adapter.pollOnce(acc);
+		expect(JSON.parse(adapter.val(`${DEV}.apply.scheduleEdit.json`)).Days[3].Events[0].Temperature).to.equal(20);
+	});
+
+	it('apply.scheduleEdit rejects an invalid program', async () => {
+		await adapter.pollOnce(acc);
+		adapter.setState(`${DEV}.apply.scheduleEdit.json`, '{"Days":[{"WeekDayGrpNo":9}]}', true);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.scheduleEdit.apply`, { val: true, ack: false });
+		expect(sim.updates).to.have.length(0);
+	});
+
+	it('blocks apply while the thermostat is offline', async () => {
+		sim.setOnline('SIM0001', false);
+		await adapter.pollOnce(acc);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.eco.apply`, { val: true, ack: false });
+		expect(sim.updates).to.have.length(0);
+		expect(adapter.val(`${DEV}.apply.eco.lastResult`)).to.equal('blocked');
+		expect(adapter.val(`${DEV}.apply.eco.lastError`)).to.equal('Thermostat offline');
+	});
+
+	it('records cloud errors in apply.<mode>.lastResult / lastError', async () => {
+		await adapter.pollOnce(acc);
+		sim.failNextRequests(1, 500);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.schedule.apply`, { val: true, ack: false });
+		expect(adapter.val(`${DEV}.apply.schedule.lastResult`)).to.equal('error');
+		expect(adapter.val(`${DEV}.apply.schedule.lastError`)).to.match(/500/);
+		expect(adapter.val(`${DEV}.apply.schedule.lastPayload`)).to.equal(undefined);
+	});
+});
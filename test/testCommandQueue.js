@@ -0,0 +1,68 @@
+'use strict';
+
+const { expect } = require('chai');
+const { createCommandQueue, mergeCommands, CommandSupersededError } = require('../lib/command-queue');
+
+function fakeAdapter() {
+	const adapter = {
+		/** @type {Array<{ serial: string, payload: object }>} */
+		sent: [],
+		log: { debug: () => {} },
+		setTimeout: (fn, ms) => setTimeout(fn, ms),
+		clearTimeout: h => clearTimeout(h),
+		client: {
+			updateThermostat: async (serial, payload) => {
+				await new Promise(resolve => setTimeout(resolve, 20));
+				adapter.sent.push({ serial, payload });
+			},
+		},
+	};
+	return adapter;
+}
+
+describe('command queue', () => {
+	it('keeps only the last mode change and lets a rename win', () => {
+		const { payload, dropped } = mergeCommands([
+			{ payload: { ThermostatName: 'Old', RegulationMode: 3, ManualModeSetpoint: 2300 } },
+			{ payload: { ThermostatName: 'New' }, rename: true },
+			{ payload: { ThermostatName: 'Old', RegulationMode: 9 } },
+		]);
+		expect(payload).to.deep.equal({ ThermostatName: 'New', RegulationMode: 9 });
+		expect(dropped).to.have.length(1);
+	});
+
+	it('sends one request per thermostat at a time, in order', async () => {
+		const adapter = fakeAdapter();
+		const queue = createCommandQueue(adapter);
+		queue.windowMs = 5;
+
+		const first = queue.enqueue(adapter.client, 'A', { RegulationMode: 1 });
+		const other = queue.enqueue(adapter.client, 'B', { RegulationMode: 9 });
+		await new Promise(resolve => setTimeout(resolve, 10)); // first batch of A is in flight
+		const second = queue.enqueue(adapter.client, 'A', { ComfortSetpoint: 2400 });
+		const third = queue.enqueue(adapter.client, 'A', { ManualModeSetpoint: 2200 });
+
+		await Promise.all([first, other, second, third]);
+		expect(adapter.sent.filter(s => s.serial === 'A').map(s => s.payload)).to.deep.equal([
+			{ RegulationMode: 1 },
+			{ ComfortSetpoint: 2400, ManualModeSetpoint: 2200 },
+		]);
+		expect(adapter.sent.filter(s => s.serial === 'B')).to.have.length(1);
+	});
+
+	it('rejects superseded mode changes and pending commands on stop', async () => {
+		const adapter = fakeAdapter();
+		const queue = createCommandQueue(adapter);
+		queue.windowMs = 5;
+
+		const manual = queue.enqueue(adapter.client, 'A', { RegulationMode: 3 });
+		const eco = queue.enqueue(adapter.client, 'A', { RegulationMode: 9 });
+		await expect(manual).to.be.rejectedWith(CommandSupersededError);
+		expect(await eco).to.deep.equal({ RegulationMode: 9 });
+
+		const pending = queue.enqueue(adapter.client, 'A', { RegulationMode: 1 });
+		queue.cancelAll();
+		await expect(pending).to.be.rejectedWith(/stopping/);
+		expect(adapter.sent).to.have.length(1);
+	});
+});
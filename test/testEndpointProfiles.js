@@ -0,0 +1,127 @@
+'use strict';
+
+const { expect } = require('chai');
+const { ENDPOINT_PROFILES, OWD5_FIELDS, WD5_FIELDS, resolveEndpoint } = require('../lib/endpoint-profiles');
+const { OJClient, clientOptionsFromConfig } = require('../lib/oj-client');
+const { missingFields } = require('../lib/accounts');
+const { OJSimulator } = require('./lib/oj-simulator');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('Endpoint profiles', () => {
+	it('resolves hosts, API key and customer ID from the profile', () => {
+		const owd5 = ENDPOINT_PROFILES.owd5;
+		expect(resolveEndpoint({})).to.include({
+			provider: 'owd5',
+			baseUrlOwd5: owd5.baseUrlOwd5,
+			baseUrlOcd5: owd5.baseUrlOcd5,
+			apiKey: owd5.apiKey,
+			customerId: 1,
+		});
+		expect(resolveEndpoint({ provider: 'unknown' }).provider).to.equal('owd5');
+
+		// values from the config win unless empty
+		const own = resolveEndpoint({ provider: 'owd5', apiKey: 'own-key', baseUrlOwd5: 'http://127.0.0.1:8080' });
+		expect(own).to.include({ apiKey: 'own-key', baseUrlOwd5: 'http://127.0.0.1:8080' });
+
+		const custom = resolveEndpoint({ provider: 'custom', baseUrlOwd5: '', apiKey: '' });
+		expect(custom).to.include({ baseUrlOwd5: '', apiKey: '', customerId: 0 });
+		expect(custom.fields).to.equal(OWD5_FIELDS);
+	});
+
+	it('resolves the WD5 profile with its own hosts, defaults and fields', () => {
+		// OWD5 defaults of the form follow the selected profile
+		const wd5 = resolveEndpoint({
+			provider: 'wd5',
+			baseUrlOwd5: ENDPOINT_PROFILES.owd5.baseUrlOwd5,
+			apiKey: ENDPOINT_PROFILES.owd5.apiKey,
+			customerId: 1,
+		});
+		expect(wd5).to.include({
+			provider: 'wd5',
+			baseUrlOwd5: 'https://ocd5.azurewebsites.net',
+			baseUrlOcd5: 'https://ocd5.azurewebsites.net',
+			apiKey: '',
+			customerId: 99,
+			clientSwVersion: 1060,
+		});
+		expect(wd5.fields).to.equal(WD5_FIELDS);
+		expect(WD5_FIELDS.signIn.clientSwVersion).to.equal('ClientSWVersion');
+	});
+
+	it('reports missing settings after resolving the profile', () => {
+		expect(missingFields({ username: 'u', password: 'p', apiKey: '' })).to.deep.equal([]);
+		expect(missingFields({ provider: 'custom', username: 'u', password: 'p', apiKey: '' })).to.deep.equal([
+			'apiKey',
+			'customerId',
+			'baseUrlOwd5',
+			'baseUrlOcd5',
+		]);
+		expect(
+			missingFields({
+				provider: 'custom',
+				username: 'u',
+				password: 'p',
+				apiKey: 'k',
+				customerId: 5,
+				baseUrlOwd5: 'http://127.0.0.1:8080',
+			}),
+		).to.deep.equal(['baseUrlOcd5']);
+		// the WD5 profile has no default API key
+		expect(missingFields({ provider: 'wd5', username: 'u', password: 'p', apiKey: '' })).to.deep.equal(['apiKey']);
+	});
+
+	it('does not fall back to the OWD5 hosts without base URLs', () => {
+		const cfg = { log, baseUrlOwd5: '', baseUrlOcd5: '', username: 'u', password: 'p', apiKey: 'k', customerId: 1 };
+		expect(() => new OJClient(cfg)).to.throw(/Base URL missing/);
+		expect(() => new OJClient({ ...clientOptionsFromConfig({ provider: 'custom' }), log })).to.throw(
+			/Base URL missing/,
+		);
+	});
+
+	it('signs in with the fields of the WD5 profile', async () => {
+		const sim = new OJSimulator({ apiKey: 'wd5-key', customerId: 99 });
+		const { url } = await sim.start();
+		const client = new OJClient({
+			log,
+			...clientOptionsFromConfig({
+				provider: 'wd5',
+				username: 'u',
+				password: 'p',
+				apiKey: 'wd5-key',
+				baseUrlOwd5: url,
+				baseUrlOcd5: url,
+			}),
+		});
+		try {
+			await client.login();
+			expect(sim.lastSignIn).to.deep.equal({
+				APIKEY: 'wd5-key',
+				UserName: 'u',
+				Password: 'p',
+				CustomerId: 99,
+				ClientSWVersion: 1060,
+			});
+			expect((await client.getGroupContents()).GroupContents).to.have.length(1);
+		} finally {
+			client.abort();
+			await sim.stop();
+		}
+	});
+
+	it('passes the profile to the client', () => {
+		const client = new OJClient({
+			log,
+			...clientOptionsFromConfig({ username: 'u', password: 'p', apiKey: '', customerId: '' }),
+		});
+		expect(client.baseUrlOwd5).to.equal(ENDPOINT_PROFILES.owd5.baseUrlOwd5);
+		expect(client.apiKey).to.equal(ENDPOINT_PROFILES.owd5.apiKey);
+		expect(client.customerId).to.equal(1);
+		expect(client.fields).to.equal(OWD5_FIELDS);
+
+		client.sessionId = 'abc';
+		expect(client._params()).to.deep.equal({ sessionid: 'abc' });
+		expect(client._params({ withApiKey: true })).to.deep.equal({ sessionid: 'abc', APIKEY: client.apiKey });
+		client.abort();
+	});
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const { expect } = require('chai');
+const {
+	bucketDate,
+	datedUsage,
+	energyTotals,
+	advanceMeter,
+	zoneOffsetSec,
+	thermostatZone,
+	bucketTimestamp,
+	isFinishedBucket,
+} = require('../lib/energy');
+
+describe('energy buckets => dates', () => {
+	const dateTime = '2026-03-02T10:00:00'; // tomorrow, thermostat-local
+
+	it('dates daily buckets of the week and month view', () => {
+		expect(bucketDate(0, { dateTime, viewType: 2 })).to.equal('2026-03-01');
+		expect(bucketDate(1, { dateTime, viewType: 2 })).to.equal('2026-02-28');
+		expect(bucketDate(0, { dateTime, history: 1, viewType: 2 })).to.equal('2026-02-22');
+		expect(bucketDate(0, { dateTime, history: 1, viewType: 3 })).to.equal('2026-01-30');
+	});
+
+	it('dates monthly buckets of the year view', () => {
+		expect(bucketDate(0, { dateTime, viewType: 4 })).to.equal('2026-03');
+		expect(bucketDate(3, { dateTime, viewType: 4 })).to.equal('2025-12');
+		expect(bucketDate(0, { dateTime, history: 1, viewType: 4 })).to.equal('2025-03');
+	});
+
+	it('keeps the current month in Usage[0] on the last day of a month and year', () => {
+		// today Oct 31 / Dec 31, DateTime already in the next month / year
+		const oct31 = '2026-11-01T10:00:00';
+		expect(bucketDate(0, { dateTime: oct31, viewType: 3 })).to.equal('2026-10-31');
+		expect(bucketDate(0, { dateTime: oct31, viewType: 4 })).to.equal('2026-10');
+		expect(bucketDate(1, { dateTime: oct31, viewType: 4 })).to.equal('2026-09');
+		expect(bucketDate(0, { dateTime: oct31, history: 1, viewType: 4 })).to.equal('2025-10');
+
+		const dec31 = '2027-01-01T10:00:00';
+		expect(bucketDate(0, { dateTime: dec31, viewType: 2 })).to.equal('2026-12-31');
+		expect(bucketDate(0, { dateTime: dec31, viewType: 4 })).to.equal('2026-12');
+		expect(bucketDate(11, { dateTime: dec31, viewType: 4 })).to.equal('2026-01');
+		expect(bucketDate(0, { dateTime: dec31, history: 1, viewType: 4 })).to.equal('2025-12');
+		expect(bucketDate(11, { dateTime: dec31, history: 1, viewType: 4 })).to.equal('2025-01');
+	});
+
+	it('returns empty dates for unknown views and keeps invalid values as null', () => {
+		expect(bucketDate(0, { dateTime, viewType: 7 })).to.equal('');
+		expect(bucketDate(0, { dateTime: '', viewType: 2 })).to.equal('');
+		expect(
+			datedUsage([{ EnergyKWattHour: 1.5 }, { EnergyKWattHour: 'x' }], { dateTime, viewType: 2 }),
+		).to.deep.equal([
+			{ date: '2026-03-01', kWh: 1.5 },
+			{ date: '2026-02-28', kWh: null },
+		]);
+	});
+});
+
+describe('energy buckets => rolling totals', () => {
+	const daily = [
+		{ date: '2026-03-04', kWh: 1.25 }, // Wednesday
+		{ date: '2026-03-03', kWh: 2 },
+		{ date: '2026-03-02', kWh: 0.5 }, // Monday
+		{ date: '2026-03-01', kWh: 4 },
+		{ date: '2026-02-28', kWh: null },
+	];
+	const monthly = [
+		{ date: '2026-03', kWh: 7.75 },
+		{ date: '2026-02', kWh: 30.1 },
+		{ date: '2025-12', kWh: 40 },
+		{ date: '2025-12', kWh: 40 }, // overlap of History 0 and 1
+		{ date: '2025-03', kWh: 20 },
+		{ date: '2024-12', kWh: 99 },
+	];
+
+	it('sums days, the week since Monday and the months of this and last year', () => {
+		expect(energyTotals({ daily, monthly, today: '2026-03-04' })).to.deep.equal({
+			today: 1.25,
+			yesterday: 2,
+			thisWeek: 3.75,
+			thisMonth: 7.75,
+			thisYear: 37.85,
+			lastYear: 60,
+		});
+	});
+
+	// year views as requested on the last day of a month, Usage[i] = 100 × (i + 1)
+	// with History 0 and 1000 × (i + 1) with History 1
+	const yearViews = dateTime =>
+		[0, 1].flatMap(history =>
+			datedUsage(
+				Array.from({ length: 12 }, (_, i) => ({ EnergyKWattHour: (history ? 1000 : 100) * (i + 1) })),
+				{ dateTime, history, viewType: 4 },
+			),
+		);
+
+	it('takes this month from Usage[0] of the year view on the last day of a month', () => {
+		const totals = energyTotals({ daily: [], monthly: yearViews('2026-11-01T10:00:00'), today: '2026-10-31' });
+		// Oct .. Jan 2026 = Usage[0..9] of History 0
+		expect(totals.thisMonth).to.equal(100);
+		expect(totals.thisYear).to.equal(5500);
+	});
+
+	it('sums this and last year against the right year on Dec 31', () => {
+		const totals = energyTotals({ daily: [], monthly: yearViews('2027-01-01T10:00:00'), today: '2026-12-31' });
+		expect(totals.thisMonth).to.equal(100);
+		expect(totals.thisYear).to.equal(7800);
+		expect(totals.lastYear).to.equal(78000);
+	});
+
+	it('falls back to daily values for this month and to 0 for missing days', () => {
+		expect(energyTotals({ daily, monthly: [], today: '2026-03-06' })).to.include({
+			today: 0,
+			yesterday: 0,
+			thisMonth: 7.75,
+			thisYear: 0,
+		});
+	});
+});
+
+describe('energy buckets => meter', () => {
+	const today = '2026-03-04';
+
+	it('counts finished days once and only adds upward corrections', () => {
+		const first = advanceMeter(
+			null,
+			[
+				{ date: '2026-03-04', kWh: 1 }, // today: not finished
+				{ date: '2026-03-03', kWh: 2 },
+				{ date: '2026-03-02', kWh: null },
+			],
+			today,
+		);
+		expect(first).to.deep.equal({ total: 2, days: { '2026-03-03': 2 } });
+
+		const again = advanceMeter(first, [{ date: '2026-03-03', kWh: 2 }], today);
+		expect(again.total).to.equal(2);
+
+		const corrected = advanceMeter(
+			again,
+			[
+				{ date: '2026-03-03', kWh: 2.5 },
+				{ date: '2026-03-02', kWh: 1.25 }, // late value of a gap
+			],
+			today,
+		);
+		expect(corrected.total).to.equal(3.75);
+		expect(advanceMeter(corrected, [{ date: '2026-03-03', kWh: 0.5 }], today).total).to.equal(3.75);
+	});
+
+	it('forgets days that can no longer be corrected', () => {
+		const meter = { total: 10, days: { '2026-01-01': 10 } };
+		expect(advanceMeter(meter, [], today)).to.deep.equal({ total: 10, days: {} });
+	});
+});
+
+describe('energy buckets => history timestamps', () => {
+	it('stamps buckets with their local start and sends only finished ones', () => {
+		expect(bucketTimestamp('2026-03-03', 3600)).to.equal(Date.UTC(2026, 2, 2, 23));
+		expect(bucketTimestamp('2026-03', 0)).to.equal(Date.UTC(2026, 2, 1));
+		expect(isFinishedBucket('2026-03-03', '2026-03-04')).to.equal(true);
+		expect(isFinishedBucket('2026-03-04', '2026-03-04')).to.equal(false);
+		expect(isFinishedBucket('2026-02', '2026-03-04')).to.equal(true);
+		expect(isFinishedBucket('2026-03', '2026-03-04')).to.equal(false);
+	});
+
+	it('uses the offset of each bucket date in the thermostat zone (DST)', () => {
+		const berlin = 'Europe/Berlin';
+		expect(zoneOffsetSec(berlin, Date.UTC(2026, 0, 15))).to.equal(3600);
+		expect(zoneOffsetSec(berlin, Date.UTC(2026, 6, 15))).to.equal(7200);
+		// same thermostat offset (summer), buckets on both sides of the changes
+		expect(bucketTimestamp('2026-01-15', 7200, berlin)).to.equal(Date.UTC(2026, 0, 14, 23));
+		expect(bucketTimestamp('2026-03-29', 7200, berlin)).to.equal(Date.UTC(2026, 2, 28, 23));
+		expect(bucketTimestamp('2026-03-30', 7200, berlin)).to.equal(Date.UTC(2026, 2, 29, 22));
+		expect(bucketTimestamp('2026-10-25', 3600, berlin)).to.equal(Date.UTC(2026, 9, 24, 22));
+		expect(bucketTimestamp('2026-11', 3600, berlin)).to.equal(Date.UTC(2026, 9, 31, 23));
+		expect(bucketTimestamp('2026-07-15', 7200, 'No/Such_Zone')).to.equal(Date.UTC(2026, 6, 14, 22));
+
+		const now = zoneOffsetSec(berlin, Date.now());
+		expect(thermostatZone(now, berlin)).to.equal(berlin);
+		expect(thermostatZone(now + 3600, berlin)).to.equal('');
+	});
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const { expect } = require('chai');
+const { createEnergyScheduler } = require('../lib/energy-scheduler');
+const { createEnergyHistory } = require('../lib/energy-history');
+const { datedUsage } = require('../lib/energy');
+const { DEV, startSimAdapter, stopSimAdapter } = require('./lib/harness');
+
+describe('Energy scheduler', () => {
+	let sim;
+	let adapter;
+	let acc;
+
+	beforeEach(async () => ({ sim, adapter, acc } = await startSimAdapter()));
+	afterEach(() => stopSimAdapter({ sim, adapter }));
+
+	it('reads energy on its own schedule and pauses it during fallback backoff', async () => {
+		const energyReads = () => sim.requestCount['/api/EnergyUsage/GetEnergyUsage'] || 0;
+		Object.assign(adapter.config, { energyTotals: false, energyMeter: false });
+		await adapter.pollOnce(acc);
+		expect(energyReads()).to.equal(2);
+		await adapter.pollOnce(acc);
+		await adapter.energyScheduler.update(acc);
+		expect(energyReads()).to.equal(2);
+
+		const expire = () => adapter.energyScheduler.cache.forEach(entry => (entry.at = 0));
+		expire();
+		await adapter.energyScheduler.update(acc);
+		expect(energyReads()).to.equal(4);
+
+		expire();
+		acc.currentIntervalMs = acc.baseIntervalMs * 2;
+		await adapter.energyScheduler.update(acc);
+		expect(energyReads()).to.equal(4);
+		acc.currentIntervalMs = acc.baseIntervalMs;
+		await adapter.energyScheduler.update(acc);
+		expect(energyReads()).to.equal(6);
+	});
+
+	it('writes dated energy tables for week, month and year with one request per view', async () => {
+		Object.assign(adapter.config, { energyWeek: true, energyMonth: true, energyYear: true });
+		await adapter.pollOnce(acc);
+		// week table shares the request of the configured view (ViewType 2), the month and
+		// year tables the ones of the totals; only last year's view (History 1) is extra
+		expect(sim.requestCount['/api/EnergyUsage/GetEnergyUsage']).to.equal(2 * 4);
+
+		const tzMs = sim.getThermostat('SIM0001').TimeZone * 1000;
+		const local = new Date(Date.now() + tzMs).toISOString();
+		const tomorrow = new Date(Date.now() + tzMs + 24 * 3600 * 1000).toISOString();
+		const week = JSON.parse(adapter.val(`${DEV}.energy.week.json`));
+		expect(week).to.have.length(7);
+		expect(week[0].date).to.equal(local.slice(0, 10));
+		expect(week[0].kWh).to.equal(adapter.val(`${DEV}.energy.value0`));
+		expect(JSON.parse(adapter.val(`${DEV}.energy.month.json`))).to.have.length(30);
+		const year = JSON.parse(adapter.val(`${DEV}.energy.year.json`));
+		expect(year[0].date).to.equal(tomorrow.slice(0, 7)); // month of the request's DateTime
+		expect(year[11].date).to.match(/^\d{4}-\d{2}$/);
+		expect(adapter.val(`${DEV}.energy.valid`)).to.equal(true);
+	});
+
+	it('writes rolling energy totals per thermostat, group and instance', async () => {
+		await adapter.pollOnce(acc);
+		expect(adapter.objects.has(`${adapter.namespace}.${DEV}.energy.month`)).to.equal(false); // tables stay off
+
+		const today = adapter.val(`${DEV}.energy.today`);
+		expect(today).to.be.a('number');
+		expect(adapter.val(`${DEV}.energy.thisYear`)).to.be.at.least(adapter.val(`${DEV}.energy.thisMonth`));
+		expect(adapter.val(`${DEV}.energy.lastYear`)).to.be.above(0);
+
+		const other = 'groups.1001.thermostats.2002.energy';
+		const sum = Math.round((today + adapter.val(`${other}.today`)) * 1000) / 1000;
+		expect(adapter.val('groups.1001.energy.today')).to.equal(sum);
+		expect(adapter.val('energy.today')).to.equal(sum);
+		expect(adapter.objects.get(`${adapter.namespace}.energy.thisWeek`).common.unit).to.equal('kWh');
+	});
+
+	it('keeps a persistent energy meter of finished days without double counting', async () => {
+		await adapter.pollOnce(acc);
+		const month = await acc.client.getEnergyUsage('SIM0001', { viewType: 3 });
+		const finished = month.EnergyUsage[0].Usage.slice(1).reduce((n, u) => n + u.EnergyKWattHour, 0);
+		const total = adapter.val(`${DEV}.energy.meterTotal`);
+		expect(total).to.equal(Math.round(finished * 1000) / 1000);
+		const id = `${adapter.namespace}.${DEV}.energy.meterTotal`;
+		expect(Object.keys(adapter.objects.get(id).native.meter.days)).to.have.length(29);
+
+		// restart: a new scheduler reads the same days again
+		adapter.energyScheduler = createEnergyScheduler(adapter);
+		await adapter.energyScheduler.update(acc);
+		expect(adapter.val(`${DEV}.energy.meterTotal`)).to.equal(total);
+
+		// the cloud corrects yesterday by +1 kWh
+		const getEnergyUsage = acc.client.getEnergyUsage.bind(acc.client);
+		acc.client.getEnergyUsage = async (serial, opts) => {
+			const res = await getEnergyUsage(serial, opts);
+			res.EnergyUsage[0].Usage[1].EnergyKWattHour += 1;
+			return res;
+		};
+		adapter.energyScheduler.cache.forEach((entry, key) => key.startsWith('SIM0001|') && (entry.at = 0));
+		await adapter.energyScheduler.update(acc);
+		expect(adapter.val(`${DEV}.energy.meterTotal`)).to.equal(Math.round((total + 1) * 1000) / 1000);
+	});
+
+	it('pushes finished energy buckets with their timestamps to a history instance after a backfill', async () => {
+		Object.assign(adapter.config, { energyHistoryInstance: 'history.0', energyBackfillPeriods: 1 });
+		await adapter.pollOnce(acc);
+		const stored = id =>
+			adapter.sentMessages
+				.filter(m => m.command === 'storeState' && m.message.id === `${adapter.namespace}.${id}`)
+				.flatMap(m => m.message.state);
+		const daily = stored(`${DEV}.energy.daily`);
+		expect(daily).to.have.length(30 + 29); // backfill (History 1) + finished days of the current view
+		expect(new Set(daily.map(s => s.ts)).size).to.equal(daily.length);
+
+		const tzSec = sim.getThermostat('SIM0001').TimeZone;
+		const yesterday = new Date(Date.now() + (tzSec - 24 * 3600) * 1000).toISOString().slice(0, 10);
+		const last = daily[daily.length - 1];
+		expect(last.ts).to.equal(Date.parse(`${yesterday}T00:00:00Z`) - tzSec * 1000);
+		expect(stored(`${DEV}.energy.monthly`).length).to.be.within(12 + 10, 12 + 11);
+		expect(adapter.objects.get(`${adapter.namespace}.${DEV}.energy.daily`).native.history.backfilled).to.equal(
+			true,
+		);
+
+		const sent = adapter.sentMessages.length;
+		adapter.energyScheduler.cache.forEach(entry => (entry.at = 0));
+		await adapter.energyScheduler.update(acc);
+		expect(adapter.sentMessages.length).to.equal(sent); // nothing new, nothing sent twice
+	});
+
+	it('keeps the pushed monthly history stable across a month boundary', async () => {
+		adapter.config.energyHistoryInstance = 'history.0';
+		const history = createEnergyHistory(adapter);
+		const th = { devId: DEV, serial: 'SIM0001', tzSec: 0 };
+		// kWh of a month, independent of how the buckets are dated
+		const kWhOf = (year, month) => year * 100 + month;
+		// year view on `today` (UTC = thermostat-local): Usage[0] is the current month
+		const yearView = today => {
+			const [year, month] = [today.getUTCFullYear(), today.getUTCMonth()];
+			const usage = Array.from({ length: 12 }, (_, i) => {
+				const d = new Date(Date.UTC(year, month - i, 1));
+				return { EnergyKWattHour: kWhOf(d.getUTCFullYear(), d.getUTCMonth() + 1) };
+			});
+			const dateTime = new Date(today.getTime() + 24 * 3600 * 1000).toISOString().slice(0, 19);
+			return datedUsage(usage, { dateTime, history: 0, viewType: 4 });
+		};
+
+		const realNow = Date.now;
+		try {
+			for (const day of ['2026-10-31', '2026-11-01', '2026-12-31', '2027-01-01']) {
+				const today = new Date(`${day}T12:00:00Z`);
+				Date.now = () => today.getTime();
+				expect(await history.store(th, 'monthly', yearView(today))).to.equal(true);
+			}
+		} finally {
+			Date.now = realNow;
+		}
+
+		const points = adapter.sentMessages
+			.filter(m => m.command === 'storeState')
+			.flatMap(m => m.message.state)
+			.map(({ ts, val }) => ({ month: new Date(ts).toISOString().slice(0, 7), val }));
+		for (const { month, val } of points) {
+			expect(val).to.equal(kWhOf(Number(month.slice(0, 4)), Number(month.slice(5))), month);
+		}
+		expect(new Set(points.map(p => p.month)).size).to.equal(points.length); // nothing sent twice
+		expect(points.map(p => p.month).slice(-3)).to.deep.equal(['2026-10', '2026-11', '2026-12']);
+	});
+});
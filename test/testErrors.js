@@ -0,0 +1,75 @@
+'use strict';
+
+const { expect } = require('chai');
+const {
+	ERROR_CATEGORY,
+	BODY_ERROR,
+	OJAuthError,
+	OJTransientError,
+	OJPermanentError,
+	errorFromBody,
+	errorFromHttp,
+	isCommError,
+	needsRelogin,
+} = require('../lib/errors');
+
+describe('OJ errors', () => {
+	it('treats unknown body ErrorCodes as transient and worth a re-login', () => {
+		expect(errorFromBody({ ErrorCode: 0 }, 'GroupContents')).to.equal(null);
+		expect(errorFromBody({}, 'GroupContents')).to.equal(null);
+		const err = errorFromBody({ ErrorCode: 99 }, 'GroupContents');
+		if (!err) {
+			throw new Error('expected an error for ErrorCode 99');
+		}
+		expect(err)
+			.to.be.instanceOf(OJTransientError)
+			.and.include({ category: ERROR_CATEGORY.TRANSIENT, errorCode: 99 });
+		expect(err.message).to.match(/^GroupContents failed/);
+		expect(needsRelogin(err)).to.equal(true);
+		expect(needsRelogin(new OJTransientError('x', { status: 503 }))).to.equal(false);
+		expect(needsRelogin(new OJAuthError('x', { sessionExpired: true }))).to.equal(true);
+	});
+
+	it('maps known body ErrorCodes to auth and permanent errors', () => {
+		const session = errorFromBody({ ErrorCode: BODY_ERROR.INVALID_SESSION }, 'x');
+		expect(session).to.be.instanceOf(OJAuthError).and.include({ sessionExpired: true, errorCode: 1 });
+		expect(needsRelogin(session)).to.equal(true);
+
+		for (const code of [BODY_ERROR.INVALID_CREDENTIALS, BODY_ERROR.INVALID_API_KEY]) {
+			const err = errorFromBody({ ErrorCode: code }, 'OWD5 login');
+			expect(err).to.be.instanceOf(OJAuthError).and.include({ sessionExpired: false, errorCode: code });
+			expect(needsRelogin(err)).to.equal(false);
+		}
+
+		const unknown = errorFromBody({ ErrorCode: BODY_ERROR.UNKNOWN_THERMOSTAT }, 'UpdateThermostat');
+		expect(unknown).to.be.instanceOf(OJPermanentError).and.include({ status: 200, errorCode: 3 });
+		expect(unknown?.message).to.match(/^UpdateThermostat failed \(unknown thermostat\)/);
+		expect(needsRelogin(unknown)).to.equal(false);
+		expect(isCommError(unknown)).to.equal(false);
+	});
+
+	it('classifies HTTP and transport errors', () => {
+		const http = status =>
+			Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+		expect(errorFromHttp(http(401), 'x'))
+			.to.be.instanceOf(OJAuthError)
+			.and.include({ sessionExpired: true });
+		expect(errorFromHttp(http(503), 'x'))
+			.to.be.instanceOf(OJTransientError)
+			.and.include({ status: 503 });
+		expect(errorFromHttp(http(429), 'x')).to.be.instanceOf(OJTransientError);
+		expect(errorFromHttp(http(404), 'x')).to.be.instanceOf(OJPermanentError);
+		expect(errorFromHttp(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'x')).to.be.instanceOf(
+			OJTransientError,
+		);
+	});
+
+	it('treats transient and auth errors as communication errors', () => {
+		expect(isCommError(new OJTransientError('x'))).to.equal(true);
+		expect(isCommError(new OJAuthError('x'))).to.equal(true);
+		expect(isCommError(new OJPermanentError('x'))).to.equal(false);
+		expect(isCommError(Object.assign(new Error('x'), { code: 'ETIMEDOUT' }))).to.equal(true);
+		// plain errors are no longer matched by their message
+		expect(isCommError(new Error('network connection timeout'))).to.equal(false);
+	});
+});
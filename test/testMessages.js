@@ -0,0 +1,104 @@
+'use strict';
+
+const { expect } = require('chai');
+const { cloneThermostatSettings } = require('../lib/clone');
+const { startSimAdapter, stopSimAdapter } = require('./lib/harness');
+
+describe('sendTo commands', () => {
+	let sim;
+	let adapter;
+	let acc;
+
+	beforeEach(async () => ({ sim, adapter, acc } = await startSimAdapter()));
+	afterEach(() => stopSimAdapter({ sim, adapter }));
+
+	it('sendTo testConnection / discoverThermostats use the unsaved form values', async () => {
+		const send = async (command, message) => {
+			adapter.sentMessages.length = 0;
+			await adapter.messageRouter({ command, message, from: 'system.adapter.admin.0', callback: {} });
+			return adapter.sentMessages[0].message;
+		};
+		const form = { username: 'user', password: 'secret', apiKey: sim.apiKey, customerId: 1, proxyUrl: '' };
+
+		const ok = await send('testConnection', form);
+		expect(ok.result).to.equal('Login OK – 1 group(s), 2 thermostat(s)');
+		expect(ok.groups[0].thermostats.map(t => t.serial)).to.deep.equal(['SIM0001', 'SIM0002']);
+
+		sim.setOnline('SIM0002', false);
+		const found = await send('discoverThermostats', JSON.stringify(form));
+		expect(found.result).to.include('Bathroom – SIM0001 – online');
+		expect(found.result).to.include('Kitchen – SIM0002 – offline');
+
+		sim.password = 'secret';
+		expect((await send('testConnection', { ...form, password: 'wrong' })).error).to.match(/^Login rejected/);
+		sim.failNextRequests(1, 200, { errorCode: 99 });
+		expect((await send('testConnection', form)).error).to.match(/^Cloud answered ErrorCode 99/);
+		sim.failNextRequests(1, 401);
+		expect((await send('testConnection', form)).error).to.match(/^Login rejected/);
+		expect((await send('testConnection', { ...form, username: '' })).error).to.equal('Missing username');
+		expect((await send('testConnection', { ...form, provider: 'custom', apiKey: '' })).error).to.equal(
+			'Missing apiKey',
+		);
+		expect((await send('testConnection', { ...form, baseUrlOwd5: 'http://127.0.0.1:1' })).error).to.match(
+			/^Cloud not reachable/,
+		);
+	});
+
+	it('sendTo exportSchedule / importSchedule round-trip', async () => {
+		await adapter.pollOnce(acc);
+		const send = async (command, message) => {
+			adapter.sentMessages.length = 0;
+			await adapter.messageRouter({ command, message, from: 'system.adapter.admin.0', callback: {} });
+			return adapter.sentMessages[0].message;
+		};
+
+		const exported = await send('exportSchedule', { serial: 'SIM0002' });
+		expect(exported.result.format).to.equal('schlueter-thermostat-schedule');
+		expect((await send('exportSchedule', { thermostatId: 2002, format: 'ics' })).result).to.match(
+			/^BEGIN:VCALENDAR/,
+		);
+
+		exported.result.Days[0].Events[0].Temperature = 24;
+		expect(await send('importSchedule', { thermostatId: 2001, schedule: exported.result })).to.deep.equal({
+			result: 'ok',
+		});
+		expect(sim.getThermostat('SIM0001').Schedule.Days[0].Events[0].Temperature).to.equal(2400);
+
+		expect((await send('importSchedule', { thermostatId: 2001, schedule: '{}' })).error).to.match(/Days/);
+		expect((await send('exportSchedule', { serial: 'nope' })).error).to.match(/Unknown thermostat/);
+	});
+
+	it('sendTo cloneSettings copies schedule and setpoints and reports per target', async () => {
+		sim.getThermostat('SIM0001').ComfortSetpoint = 2450;
+		sim.getThermostat('SIM0001').Schedule.Days[2].Events[0].Temperature = 2050;
+		await adapter.pollOnce(acc);
+
+		adapter.sentMessages.length = 0;
+		await adapter.messageRouter({
+			command: 'cloneSettings',
+			message: { serial: 'SIM0001', targets: ['SIM0002', 'UNKNOWN'] },
+			from: 'system.adapter.admin.0',
+			callback: {},
+		});
+		const { results } = adapter.sentMessages[0].message.result;
+		expect(results.map(r => [r.serial, r.success])).to.deep.equal([
+			['SIM0002', true],
+			['UNKNOWN', false],
+		]);
+		expect(results[1].error).to.match(/Unknown thermostat/);
+
+		const target = sim.getThermostat('SIM0002');
+		expect(target.ThermostatName).to.equal('Kitchen');
+		expect(target.ComfortSetpoint).to.equal(2450);
+		expect(target.Schedule.Days[2].Events[0].Temperature).to.equal(2050);
+		expect(adapter.val('groups.1001.thermostats.2002.schedule.day2.event0.temperature')).to.equal(20.5);
+	});
+
+	it('cloneSettings skips offline targets', async () => {
+		sim.setOnline('SIM0002', false);
+		await adapter.pollOnce(acc);
+		const { results } = await cloneThermostatSettings(adapter, { thermostatId: 2001 }, ['SIM0002']);
+		expect(results[0]).to.include({ success: false, error: 'Thermostat offline' });
+		expect(sim.updates).to.have.length(0);
+	});
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const { expect } = require('chai');
+const { createOfflineQueue } = require('../lib/offline-queue');
+const { DEV, startSimAdapter, stopSimAdapter } = require('./lib/harness');
+
+describe('Offline queue', () => {
+	let sim;
+	let adapter;
+	let acc;
+
+	beforeEach(async () => ({ sim, adapter, acc } = await startSimAdapter()));
+	afterEach(() => stopSimAdapter({ sim, adapter }));
+
+	it('queues an apply while the thermostat is offline and sends it once it is back', async () => {
+		adapter.config.offlineQueue = true;
+		sim.setOnline('SIM0001', false);
+		await adapter.pollOnce(acc);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.eco.apply`, { val: true, ack: false });
+		expect(sim.updates).to.have.length(0);
+		expect(adapter.val(`${DEV}.apply.eco.lastResult`)).to.equal('queued');
+		expect(adapter.val(`${DEV}.pending.eco.reason`)).to.equal('Thermostat offline');
+		expect(adapter.objects.get(`${adapter.namespace}.${DEV}.pending.eco`)?.native.modeFolder).to.equal('eco');
+
+		sim.setOnline('SIM0001', true);
+		await adapter.pollOnce(acc);
+		expect(sim.updates).to.have.length(1);
+		expect(sim.updates[0].fields.RegulationMode).to.equal(9);
+		expect(adapter.val(`${DEV}.apply.eco.lastResult`)).to.equal('success');
+		expect(adapter.objects.has(`${adapter.namespace}.${DEV}.pending.eco`)).to.equal(false);
+		expect(adapter.offlineQueue.size()).to.equal(0);
+	});
+
+	it('sends a queued apply with the values it was queued with', async () => {
+		adapter.config.offlineQueue = true;
+		sim.setOnline('SIM0001', false);
+		await adapter.pollOnce(acc);
+		adapter.setState(`${DEV}.apply.manual.setpoint`, 23, true);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.manual.apply`, { val: true, ack: false });
+		expect(adapter.objects.get(`${adapter.namespace}.${DEV}.pending.manual`)?.native.values).to.deep.equal({
+			setpoint: 23,
+		});
+
+		adapter.setState(`${DEV}.apply.manual.setpoint`, 25, true);
+		sim.setOnline('SIM0001', true);
+		await adapter.pollOnce(acc);
+		expect(sim.updates).to.have.length(1);
+		expect(sim.updates[0].fields.ManualModeSetpoint).to.equal(2300);
+	});
+
+	it('offline queue entries can be cancelled, expire and survive a restart', async () => {
+		adapter.config.offlineQueue = true;
+		sim.setOnline('SIM0001', false);
+		await adapter.pollOnce(acc);
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.eco.apply`, { val: true, ack: false });
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.apply.manual.apply`, { val: true, ack: false });
+		expect(adapter.offlineQueue.size()).to.equal(2);
+
+		await adapter.onStateChange(`${adapter.namespace}.${DEV}.pending.eco.cancel`, { val: true, ack: false });
+		expect(adapter.offlineQueue.size()).to.equal(1);
+		expect(adapter.objects.has(`${adapter.namespace}.${DEV}.pending.eco`)).to.equal(false);
+
+		// new run: entries come back from the objects
+		const restored = createOfflineQueue(adapter);
+		await restored.restore();
+		expect(restored.size()).to.equal(1);
+
+		adapter.offlineQueue = restored;
+		adapter.objects.get(`${adapter.namespace}.${DEV}.pending.manual`).native.expiresAt = Date.now() - 1;
+		await restored.restore();
+		expect(restored.size()).to.equal(0);
+		expect(adapter.objects.has(`${adapter.namespace}.${DEV}.pending.manual`)).to.equal(false);
+		sim.setOnline('SIM0001', true);
+		await adapter.pollOnce(acc);
+		expect(sim.updates).to.have.length(0);
+		expect(restored.size()).to.equal(0);
+	});
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+const { expect } = require('chai');
+const { sleep, DEV, startSimAdapter, stopSimAdapter } = require('./lib/harness');
+
+describe('Polling', () => {
+	let sim;
+	let adapter;
+	let acc;
+
+	beforeEach(async () => ({ sim, adapter, acc } = await startSimAdapter()));
+	afterEach(() => stopSimAdapter({ sim, adapter }));
+
+	it('pollOnce creates the object tree and writes states', async () => {
+		await adapter.pollOnce(acc);
+		expect(adapter.objects.get(`${adapter.namespace}.${DEV}`)?.type).to.equal('device');
+		expect(adapter.val('info.connection')).to.equal(true);
+		expect(adapter.val(`${DEV}.online`)).to.equal(true);
+		expect(adapter.val(`${DEV}.regulationMode`)).to.equal(1);
+		expect(adapter.val(`${DEV}.temperature.floor`)).to.be.a('number');
+		expect(adapter.val(`${DEV}.schedule.day0.event0.time`)).to.equal('06:00:00');
+		expect(adapter.val(`${DEV}.energy.count`)).to.equal(7);
+		expect(adapter.val(`${DEV}.status.activeSource`)).to.equal('schedule');
+		expect(adapter.val(`${DEV}.status.nextSwitchTime`)).to.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:00$/);
+	});
+
+	it('writes only changed values and rewrites all of them every N polls', async () => {
+		const written = [];
+		const setState = adapter._origSetState;
+		adapter._origSetState = (id, val, ack) => {
+			written.push(id);
+			setState(id, val, ack);
+		};
+		const poll = async () => {
+			written.length = 0;
+			await adapter.pollOnce(acc);
+			// energy has its own schedule (lib/energy-scheduler.js)
+			return written.filter(
+				id => id.startsWith(`${DEV}.`) && !id.includes('.apply.') && !id.includes('.energy.'),
+			);
+		};
+
+		const first = await poll();
+		expect(first.length).to.be.greaterThan(50);
+		expect(await poll()).to.deep.equal([]);
+
+		sim.getThermostat('SIM0001').floorC += 0.5;
+		expect(await poll()).to.deep.equal([`${DEV}.temperature.floor`]);
+
+		// written outside of a poll: the next poll writes the real value again
+		adapter.safeSetState(`${DEV}.regulationMode`, { val: 3, ack: true, q: 0x40 });
+		written.length = 0;
+		expect(await poll()).to.deep.equal([`${DEV}.regulationMode`]);
+		expect(adapter.states.get(`${adapter.namespace}.${DEV}.regulationMode`)).to.include({ val: 1, q: 0 });
+
+		adapter.config.stateRefreshPolls = 2;
+		const refreshed = [await poll(), await poll()];
+		expect(refreshed.map(ids => ids.length).sort((a, b) => a - b)).to.deep.equal([0, first.length]);
+	});
+
+	it('creates object definitions once and again only when the layout changes', async () => {
+		const calls = [];
+		for (const fn of ['_origGetObjectAsync', '_origSetObjectAsync', '_origSetObjectNotExistsAsync']) {
+			const orig = adapter[fn];
+			adapter[fn] = (id, ...args) => {
+				calls.push(id);
+				return orig(id, ...args);
+			};
+		}
+		const poll = async () => {
+			calls.length = 0;
+			await adapter.pollOnce(acc);
+			return calls.filter(id => id.startsWith(`${DEV}`));
+		};
+
+		expect((await poll()).length).to.be.greaterThan(100);
+		expect(await poll()).to.deep.equal([]);
+
+		sim.getThermostat('SIM0001').ThermostatName = 'Bath';
+		const renamed = await poll();
+		expect(renamed).to.include(DEV);
+		expect(adapter.objects.get(`${adapter.namespace}.${DEV}`).common.name).to.equal('Bath');
+
+		const day = sim.getThermostat('SIM0001').Schedule.Days[1];
+		day.Events.push({ ...day.Events[0], Clock: '23:00:00' });
+		const grown = await poll();
+		expect(grown).to.include(`${DEV}.schedule.day1.event4.time`);
+		// only apply.scheduleEdit.json follows the new cloud schedule (native.written)
+		expect(grown.filter(id => id.includes('.apply.'))).to.deep.equal([
+			`${DEV}.apply.scheduleEdit.json`,
+			`${DEV}.apply.scheduleEdit.json`,
+		]);
+		expect(await poll()).to.deep.equal([]);
+	});
+
+	it('removes orphaned schedule events and energy values and flags stale energy', async () => {
+		adapter.config.energyViewType = 3;
+		await adapter.pollOnce(acc);
+		expect(adapter.val(`${DEV}.energy.count`)).to.equal(30);
+		expect(adapter.val(`${DEV}.energy.valid`)).to.equal(true);
+		expect(adapter.objects.has(`${adapter.namespace}.${DEV}.schedule.day1.event3`)).to.equal(true);
+
+		sim.getThermostat('SIM0001').Schedule.Days[1].Events.splice(2);
+		adapter.config.energyViewType = 2;
+		await adapter.pollOnce(acc);
+		await adapter.energyScheduler.update(acc); // view type changed: due again
+		const ids = [...adapter.objects.keys()].map(id => id.slice(adapter.namespace.length + 1));
+		expect(ids.filter(id => id.startsWith(`${DEV}.schedule.day1.`))).to.have.length(2 + 2 * 5);
+		expect(ids).to.not.include(`${DEV}.schedule.day1.event3.time`);
+		expect(ids.filter(id => id.startsWith(`${DEV}.energy.value`))).to.have.length(7);
+		expect(adapter.val(`${DEV}.energy.value6`)).to.be.a('number');
+
+		adapter.energyScheduler.cache.forEach((entry, key) => key.startsWith('SIM0001|') && (entry.at = 0));
+		sim.failNextRequests(1, 400);
+		await adapter.energyScheduler.update(acc);
+		expect(adapter.val(`${DEV}.energy.valid`)).to.equal(false);
+		expect(adapter.val(`${DEV}.energy.value6`)).to.be.a('number');
+	});
+
+	it('poll watchdog releases a poll that never settles', async () => {
+		adapter.pollWatchdogMs = 20;
+		acc.client.getGroupContents = () => new Promise(() => {});
+		await adapter.pollOnce(acc);
+		expect(acc.pollInFlight).to.equal(false);
+		expect(adapter.log.entries.some(e => /did not finish within/.test(e.msg))).to.equal(true);
+	});
+
+	it('poll watchdog aborts the read of a released poll and drops its late result', async () => {
+		await adapter.pollOnce(acc);
+		adapter.pollWatchdogMs = 20;
+		const read = acc.client.getGroupContents.bind(acc.client);
+		/** @type {AbortSignal | undefined} */
+		let signal;
+		/** @type {(data: any) => void} */
+		let finish = () => {};
+		acc.client.getGroupContents = opts => {
+			signal = opts?.signal;
+			return new Promise(resolve => (finish = resolve));
+		};
+		await adapter.pollOnce(acc);
+		expect(acc.pollInFlight).to.equal(false);
+		expect(signal?.aborted).to.equal(true);
+
+		sim.getThermostat('SIM0001').ThermostatName = 'Late';
+		finish(await read());
+		await sleep(20);
+		expect(adapter.val(`${DEV}.thermostatName`)).to.equal('Bathroom');
+	});
+
+	it('fallback polling backs off while all thermostats are offline and resets on recovery', async () => {
+		sim.setAllOnline(false);
+		await adapter.pollOnce(acc);
+		expect(acc.currentIntervalMs).to.equal(120000);
+		await adapter.pollOnce(acc);
+		expect(acc.currentIntervalMs).to.equal(240000);
+
+		sim.setOnline('SIM0002', true);
+		await adapter.pollOnce(acc);
+		expect(acc.currentIntervalMs).to.equal(60000);
+		expect(acc.inFixedSchedule).to.equal(false);
+	});
+
+	it('fallback polling backs off on cloud errors and clears info.connection after repeated failures', async () => {
+		await adapter.pollOnce(acc);
+		sim.failNextRequests(3, 503);
+		await adapter.pollOnce(acc);
+		await adapter.pollOnce(acc);
+		expect(adapter.val('info.connection')).to.equal(true);
+		await adapter.pollOnce(acc);
+		expect(acc.pollFailCount).to.equal(3);
+		expect(adapter.val('info.connection')).to.equal(false);
+		expect(acc.currentIntervalMs).to.equal(480000);
+
+		await adapter.pollOnce(acc);
+		expect(acc.pollFailCount).to.equal(0);
+		expect(adapter.val('info.connection')).to.equal(true);
+	});
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { expect } = require('chai');
+const { scheduleToEditable, parseEditableSchedule, scheduleToDocument, scheduleToIcs } = require('../lib/schedule');
+const { createDefaultSchedule } = require('./lib/oj-simulator');
+
+describe('schedule => editable format', () => {
+	it('converts temperatures to °C and back', () => {
+		const cloud = createDefaultSchedule();
+		const editable = scheduleToEditable(cloud);
+		expect(editable.Days[0].Events[0]).to.deep.equal({
+			ScheduleType: 0,
+			Clock: '06:00:00',
+			Temperature: 22,
+			Active: true,
+			EventIsOnNextDay: false,
+		});
+		expect(parseEditableSchedule(JSON.stringify(editable), { current: cloud })).to.deep.equal(cloud);
+	});
+
+	it('adds and removes events, sorting next-day events last', () => {
+		const current = createDefaultSchedule();
+		const result = parseEditableSchedule(
+			{
+				Days: [
+					{
+						WeekDayGrpNo: 1,
+						Events: [
+							{ Clock: '00:30', Temperature: 17, EventIsOnNextDay: true },
+							{ Clock: '18:00', Temperature: 21.5 },
+							{ Clock: '07:00', Temperature: 20 },
+						],
+					},
+				],
+			},
+			{ current },
+		);
+		expect(result.Days).to.have.length(7);
+		expect(result.Days[1].Events.map(ev => [ev.Clock, ev.Temperature, ev.EventIsOnNextDay])).to.deep.equal([
+			['07:00:00', 2000, false],
+			['18:00:00', 2150, false],
+			['00:30:00', 1700, true],
+		]);
+		expect(result.Days[0]).to.deep.equal(current.Days[0]);
+	});
+
+	it('keeps the clock format of the current schedule', () => {
+		const current = { Days: [{ WeekDayGrpNo: 0, Events: [{ Clock: '1900-01-01T06:00:00', Temperature: 2000 }] }] };
+		const result = parseEditableSchedule(
+			{ Days: [{ WeekDayGrpNo: 0, Events: [{ Clock: '6:15', Temperature: 20 }] }] },
+			{ current },
+		);
+		expect(result.Days[0].Events[0].Clock).to.equal('1900-01-01T06:15:00');
+	});
+
+	it('rejects invalid input', () => {
+		expect(() => parseEditableSchedule('')).to.throw(/empty/);
+		expect(() => parseEditableSchedule('{')).to.throw(/invalid/);
+		expect(() => parseEditableSchedule({ Days: [{ WeekDayGrpNo: 7, Events: [] }] })).to.throw(/WeekDayGrpNo/);
+		expect(() =>
+			parseEditableSchedule({ Days: [{ WeekDayGrpNo: 0, Events: [{ Clock: '25:00', Temperature: 20 }] }] }),
+		).to.throw(/Clock/);
+		expect(() =>
+			parseEditableSchedule({ Days: [{ WeekDayGrpNo: 0, Events: [{ Clock: '06:00', Temperature: 2200 }] }] }),
+		).to.throw(/out of range/);
+		expect(() =>
+			parseEditableSchedule({
+				Days: [
+					{
+						WeekDayGrpNo: 0,
+						Events: [
+							{ Clock: '06:00', Temperature: 20 },
+							{ Clock: '06:00:00', Temperature: 21 },
+						],
+					},
+				],
+			}),
+		).to.throw(/two events/);
+		expect(() => parseEditableSchedule({ Days: [{ WeekDayGrpNo: 0, Events: [] }] })).to.throw(/at least one/);
+	});
+});
+
+describe('schedule => export', () => {
+	it('round-trips the portable JSON document', () => {
+		const cloud = createDefaultSchedule();
+		const doc = scheduleToDocument(cloud, { thermostatName: 'Bathroom', serialNumber: 'SIM0001' });
+		expect(doc.format).to.equal('schlueter-thermostat-schedule');
+		expect(parseEditableSchedule(JSON.stringify(doc))).to.deep.equal(cloud);
+		expect(() => parseEditableSchedule({ ...doc, format: 'other' })).to.throw(/format/);
+	});
+
+	it('builds a weekly recurring iCalendar', () => {
+		const ics = scheduleToIcs(createDefaultSchedule(), { thermostatName: 'Bathroom', serialNumber: 'SIM0001' });
+		const lines = ics.split('\r\n');
+		expect(lines[0]).to.equal('BEGIN:VCALENDAR');
+		expect(lines.filter(l => l === 'BEGIN:VEVENT')).to.have.length(28);
+		expect(lines).to.include('DTSTART:20240107T060000');
+		expect(lines).to.include('DTEND:20240107T083000');
+		expect(lines).to.include('RRULE:FREQ=WEEKLY;BYDAY=SU');
+		expect(lines).to.include('SUMMARY:Bathroom: 22 °C');
+		// last event of Saturday lasts until Sunday morning
+		expect(lines).to.include('DTSTART:20240113T223000');
+		expect(lines).to.include('DTEND:20240114T060000');
+	});
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const { expect } = require('chai');
+const { computeThermostatStatus } = require('../lib/status');
+const { scheduleStateAt } = require('../lib/schedule');
+const { createDefaultSchedule } = require('./lib/oj-simulator');
+
+// Monday 2024-01-08 08:00 thermostat-local (TimeZone +1h)
+const NOW = Date.UTC(2024, 0, 8, 7, 0);
+const TZ = 3600;
+
+function thermostat(fields) {
+	return {
+		RegulationMode: 1,
+		ManualModeSetpoint: 2100,
+		ComfortSetpoint: 2300,
+		VacationTemperature: 1200,
+		Schedule: createDefaultSchedule(),
+		...fields,
+	};
+}
+
+describe('status => schedule evaluation', () => {
+	it('finds the running event and the next change', () => {
+		const st = scheduleStateAt(createDefaultSchedule(), Date.UTC(2024, 0, 8, 8, 0));
+		expect(st).to.deep.equal({
+			temperature: 2200,
+			nextSwitchLocalMs: Date.UTC(2024, 0, 8, 8, 30),
+			nextTemperature: 1900,
+		});
+	});
+
+	it('wraps around the week and skips switches without temperature change', () => {
+		// Sunday 03:00 still runs on Saturday 22:30
+		const st = scheduleStateAt(createDefaultSchedule(), Date.UTC(2024, 0, 7, 3, 0));
+		expect(st?.temperature).to.equal(1800);
+		expect(st?.nextSwitchLocalMs).to.equal(Date.UTC(2024, 0, 7, 6, 0));
+
+		const flat = {
+			Days: [0, 1, 2, 3, 4, 5, 6].map(wd => ({
+				WeekDayGrpNo: wd,
+				Events: [{ Clock: '06:00:00', Temperature: 2000 }],
+			})),
+		};
+		expect(scheduleStateAt(flat, Date.UTC(2024, 0, 8, 8, 0))).to.deep.equal({
+			temperature: 2000,
+			nextSwitchLocalMs: null,
+			nextTemperature: null,
+		});
+		expect(scheduleStateAt({ Days: [] }, 0)).to.equal(null);
+	});
+});
+
+describe('status => computeThermostatStatus', () => {
+	const opts = { nowMs: NOW, tzSec: TZ };
+
+	it('schedule mode', () => {
+		expect(computeThermostatStatus(thermostat({}), opts)).to.deep.equal({
+			activeSource: 'schedule',
+			effectiveSetpoint: 22,
+			nextSwitchTime: '2024-01-08T08:30:00',
+			nextSetpoint: 19,
+		});
+	});
+
+	it('comfort until its end time, then the schedule value', () => {
+		const t = thermostat({ RegulationMode: 2 });
+		expect(computeThermostatStatus(t, { ...opts, comfortEndLocal: '2024-01-08T10:00:00' })).to.deep.equal({
+			activeSource: 'comfort',
+			effectiveSetpoint: 23,
+			nextSwitchTime: '2024-01-08T10:00:00',
+			nextSetpoint: 19,
+		});
+		// expired comfort is reported as schedule
+		expect(computeThermostatStatus(t, { ...opts, comfortEndLocal: '2024-01-08T07:59:00' }).activeSource).to.equal(
+			'schedule',
+		);
+	});
+
+	it('boost, manual, frost, eco and vacation', () => {
+		const boost = computeThermostatStatus(thermostat({ RegulationMode: 8 }), {
+			...opts,
+			boostEndLocal: '2024-01-08T09:00:00',
+		});
+		expect(boost).to.include({
+			activeSource: 'boost',
+			effectiveSetpoint: null,
+			nextSwitchTime: '2024-01-08T09:00:00',
+		});
+
+		expect(computeThermostatStatus(thermostat({ RegulationMode: 3 }), opts)).to.deep.equal({
+			activeSource: 'manual',
+			effectiveSetpoint: 21,
+			nextSwitchTime: '',
+			nextSetpoint: null,
+		});
+		expect(computeThermostatStatus(thermostat({ RegulationMode: 6 }), opts)).to.include({
+			activeSource: 'frost',
+			effectiveSetpoint: 5,
+		});
+		expect(computeThermostatStatus(thermostat({ RegulationMode: 9 }), opts)).to.include({
+			activeSource: 'eco',
+			effectiveSetpoint: null,
+		});
+		expect(
+			computeThermostatStatus(thermostat({ RegulationMode: 4, VacationEndDay: '2024-01-10T00:00:00' }), opts),
+		).to.deep.equal({
+			activeSource: 'vacation',
+			effectiveSetpoint: 12,
+			nextSwitchTime: '2024-01-11T00:00:00',
+			nextSetpoint: 18,
+		});
+	});
+});